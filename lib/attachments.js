@@ -0,0 +1,74 @@
+/**
+ * Photos and documents
+ * Load Attachments checks each file against ATTACHMENT_TYPES and the size limits and fingerprints it
+ * with SHA-256; Compose Messages lists the files so resellers can verify them.
+ */
+
+const crypto = require('crypto');
+
+// Leading bytes of the common types, so a renamed file can't pass as a photo
+const SIGNATURES = {
+  'image/jpeg': data => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff,
+  'image/png': data => data.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': data => data.slice(0, 4).toString('latin1') === 'RIFF' && data.slice(8, 12).toString('latin1') === 'WEBP',
+  'application/pdf': data => data.slice(0, 5).toString('latin1') === '%PDF-'
+};
+
+/**
+ * Limits from ATTACHMENT_TYPES, ATTACHMENT_MAX_MB, ATTACHMENTS_MAX_TOTAL_MB and ATTACHMENTS_MAX_COUNT
+ * @param {object} env - The node's $env
+ * @returns {object} { maxBytes, maxTotalBytes, maxCount, allowedTypes }
+ */
+function attachmentLimits(env) {
+  const mb = (name, fallback) => Number(env[name] || fallback) * 1024 * 1024;
+  return {
+    maxBytes: mb('ATTACHMENT_MAX_MB', 10),
+    maxTotalBytes: mb('ATTACHMENTS_MAX_TOTAL_MB', 25),
+    maxCount: Number(env.ATTACHMENTS_MAX_COUNT || 10),
+    allowedTypes: (env.ATTACHMENT_TYPES || 'image/jpeg,image/png,image/webp,application/pdf')
+      .split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+  };
+}
+
+/**
+ * Check one file and fingerprint it
+ * @param {object} file - { filename, data: Buffer, mimeType, sha256? } - sha256 as given on the start request
+ * @param {object} limits - From attachmentLimits
+ * @returns {object} { sha256, errors }
+ */
+function checkAttachment({ filename, data, mimeType, sha256: expected }, limits) {
+  const errors = [];
+  const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+  if (!limits.allowedTypes.includes(mimeType)) {
+    errors.push(`${filename}: type ${mimeType || 'unknown'} is not allowed`);
+  } else if (SIGNATURES[mimeType] && !SIGNATURES[mimeType](data)) {
+    errors.push(`${filename}: content does not match ${mimeType}`);
+  }
+  if (data.length > limits.maxBytes) errors.push(`${filename}: ${data.length} bytes exceeds ${limits.maxBytes}`);
+  if (expected && expected.toLowerCase() !== sha256) errors.push(`${filename}: SHA-256 does not match`);
+  return { sha256, errors };
+}
+
+const HEADINGS = { en: 'Attachments (SHA-256)', de: 'Anhänge (SHA-256)', ja: '添付ファイル (SHA-256)' };
+const sizeLabel = bytes => bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+/**
+ * The attachment_list placeholder - each file with its size and checksum
+ * @param {Array} attachments - The campaign's attachments
+ * @param {string} locale - Template locale, for the heading
+ * @param {function} [escapeHtml] - Given for html variants
+ * @returns {string} The list, '' without attachments
+ */
+function attachmentList(attachments, locale, escapeHtml) {
+  if (attachments.length === 0) return '';
+  const heading = HEADINGS[locale] || HEADINGS.en;
+  if (!escapeHtml) return `${heading}:\n` + attachments.map(a => `• ${a.filename} (${sizeLabel(a.size)}): ${a.sha256}`).join('\n');
+  return `<p>${escapeHtml(heading)}:</p><ul>` +
+    attachments.map(a => `<li>${escapeHtml(a.filename)} (${sizeLabel(a.size)}): <code>${a.sha256}</code></li>`).join('') + '</ul>';
+}
+
+module.exports = {
+  attachmentLimits,
+  checkAttachment,
+  attachmentList
+};
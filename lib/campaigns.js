@@ -0,0 +1,238 @@
+/**
+ * Campaigns
+ * Validate Input checks a start request and builds the campaign config from it; status checks,
+ * late offers and the Campaign Clock expire campaigns whose deadline has passed, and Get Campaign
+ * reports a campaign's status.
+ */
+
+const { checkProduct } = require('./products');
+const { CURRENCIES, scoringProfile } = require('./scoring');
+
+/**
+ * Check a start request
+ * @param {object} input - The start request body
+ * @param {object} env - The node's $env
+ * @param {object} schemas - Product schemas by category
+ * @returns {object} { errors, config, product: { category, schema, values }, attachments }
+ */
+function checkStartRequest(input, env, schemas) {
+  const required = ['csvUrl'];
+  const errors = [];
+
+  required.forEach(field => {
+    if (!input[field]) errors.push(`Missing: ${field}`);
+  });
+
+  if (input.csvUrl && !input.csvUrl.match(/^https?:\/\/.*\.(csv|txt)$/i)) {
+    errors.push('Invalid CSV URL');
+  }
+
+  const baseCurrency = (input.config?.baseCurrency || env.BASE_CURRENCY || 'USD').toUpperCase();
+  if (!CURRENCIES.includes(baseCurrency)) {
+    errors.push(`Unsupported base currency: ${baseCurrency}`);
+  }
+
+  // Sell campaigns rank the highest offer first, buy (procurement) campaigns the lowest quote
+  const mode = String(input.mode || input.config?.mode || 'sell').toLowerCase();
+  if (!['sell', 'buy'].includes(mode)) {
+    errors.push(`Invalid mode: ${mode} (expected sell or buy)`);
+  }
+  const priceCeilings = { sell: 1000000, buy: 250000 };
+  const maxPrice = Number(input.config?.maxPrice || priceCeilings[mode]);
+  if (!(maxPrice > 0)) errors.push('Invalid config.maxPrice');
+
+  // Reserve (floor when selling, ceiling when buying) and target price, in the base currency.
+  // Kept in config so they are never sent to resellers with the product details
+  const product = input.product || {};
+  const pricePoint = field => product[field] === undefined || product[field] === null || product[field] === '' ?
+    null : Number(product[field]);
+  const reservePrice = pricePoint('reservePrice');
+  const targetPrice = pricePoint('targetPrice');
+  if (reservePrice !== null && !(reservePrice > 0)) errors.push('Invalid product.reservePrice');
+  if (targetPrice !== null && !(targetPrice > 0)) errors.push('Invalid product.targetPrice');
+
+  // Attributes checked against the category's product schema
+  const { category, schema, values, errors: productErrors } = checkProduct(product, input, schemas);
+  errors.push(...productErrors);
+
+  // Scoring profile - config.scoring overrides any part per campaign
+  const { profile: scoring, errors: scoringErrors } = scoringProfile(input.config?.scoring || {}, env);
+  errors.push(...scoringErrors);
+
+  // Targeting - which resellers to contact; specialties default to the product category
+  const targetingInput = input.targeting || {};
+  const maxResellersCap = Number(env.MAX_RESELLERS) || 500;
+  const targetList = (value, name) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string' || !v.trim())) {
+      errors.push(`Invalid targeting.${name}: expected [string]`);
+      return [];
+    }
+    return value.map(v => v.trim());
+  };
+  const targeting = {
+    regions: targetList(targetingInput.regions, 'regions'),
+    specialties: targetingInput.specialties !== undefined ? targetList(targetingInput.specialties, 'specialties') :
+      (product.category && schema ? [schema.label || category] : []),
+    minTrust: targetingInput.minTrust === undefined ? null : Number(targetingInput.minTrust),
+    maxResellers: targetingInput.maxResellers === undefined ? maxResellersCap : Number(targetingInput.maxResellers)
+  };
+  if (targeting.minTrust !== null && !(targeting.minTrust >= 0 && targeting.minTrust <= 10)) {
+    errors.push('Invalid targeting.minTrust (expected 0-10)');
+  }
+  if (!Number.isInteger(targeting.maxResellers) || targeting.maxResellers < 1 || targeting.maxResellers > maxResellersCap) {
+    errors.push(`Invalid targeting.maxResellers (expected 1-${maxResellersCap})`);
+  }
+
+  // Reminder rounds as fractions of the time to the deadline, e.g. [0.5, 0.9]
+  const reminders = input.config?.reminders === undefined ? [0.5, 0.9] : input.config.reminders;
+  if (!Array.isArray(reminders) || reminders.some((f, i) =>
+    typeof f !== 'number' || !(f > 0 && f < 1) || (i > 0 && f <= reminders[i - 1]))) {
+    errors.push('Invalid config.reminders: expected ascending fractions between 0 and 1');
+  }
+
+  // Per-campaign template overrides - merged and checked in Load Templates
+  if (input.templates !== undefined && (typeof input.templates !== 'object' || Array.isArray(input.templates))) {
+    errors.push('Invalid templates: expected { category: { locale: { kind: template } } }');
+  }
+
+  // Photos and documents - URLs here, uploads as binary data on the start request (see Load Attachments)
+  const attachments = input.attachments === undefined ? [] : input.attachments;
+  if (!Array.isArray(attachments) || attachments.some(a => !a || typeof a.url !== 'string' || !/^https?:\/\/\S+$/i.test(a.url) ||
+      (a.sha256 !== undefined && !/^[a-f0-9]{64}$/i.test(a.sha256)))) {
+    errors.push('Invalid attachments: expected [{ url, filename?, sha256? }]');
+  }
+  const attachmentDelivery = input.config?.attachmentDelivery || 'url';
+  if (!['url', 'base64'].includes(attachmentDelivery)) errors.push('Invalid config.attachmentDelivery (expected url or base64)');
+
+  // Delivery retries - failed sends are retried with exponential backoff (see Track Delivery)
+  const retryInput = input.config?.retry || {};
+  const retry = {
+    maxRetries: Number(retryInput.maxRetries ?? env.DELIVERY_MAX_RETRIES ?? 2),
+    backoffSeconds: Number(retryInput.backoffSeconds ?? env.DELIVERY_BACKOFF_SECONDS ?? 5)
+  };
+  if (!Number.isInteger(retry.maxRetries) || retry.maxRetries < 0 || retry.maxRetries > 5) {
+    errors.push('Invalid config.retry.maxRetries (expected 0-5)');
+  }
+  if (!(retry.backoffSeconds >= 1 && retry.backoffSeconds <= 60)) errors.push('Invalid config.retry.backoffSeconds (expected 1-60)');
+
+  // Offers that close the campaign early and minutes until its deadline, capped at 500 and 240
+  const maxOffers = Number(input.config?.maxOffers ?? 100);
+  if (!Number.isInteger(maxOffers) || maxOffers < 1) errors.push('Invalid config.maxOffers (expected a whole number of offers)');
+  const timeoutMinutes = Number(input.config?.timeoutMinutes ?? 60);
+  if (!Number.isInteger(timeoutMinutes) || timeoutMinutes < 1) {
+    errors.push('Invalid config.timeoutMinutes (expected a whole number of minutes)');
+  }
+
+  // Outreach goes out in batches of this many resellers (see Plan Batches), at most 100
+  const batchSize = Number(input.config?.batchSize ?? env.BATCH_SIZE ?? 25);
+  if (!Number.isInteger(batchSize) || batchSize < 1) errors.push('Invalid config.batchSize (expected a whole number of resellers)');
+
+  // Final results go to Slack and optionally to an email address and a webhook
+  const resultsWebhookUrl = input.resultsWebhookUrl || input.config?.resultsWebhookUrl || null;
+  if (resultsWebhookUrl && !/^https?:\/\/\S+$/i.test(resultsWebhookUrl)) errors.push('Invalid resultsWebhookUrl');
+  const resultsEmail = input.resultsEmail || input.config?.resultsEmail || env.RESULTS_EMAIL || null;
+  if (resultsEmail && !/^[^@\s]+@[^@\s]+$/.test(resultsEmail)) errors.push('Invalid resultsEmail');
+
+  const config = {
+    maxOffers: Math.min(maxOffers, 500),
+    timeoutMinutes: Math.min(timeoutMinutes, 240),
+    batchSize: Math.min(batchSize, 100),
+    baseCurrency,
+    mode,
+    maxPrice,
+    reservePrice,
+    targetPrice,
+    scoring,
+    targeting,
+    reminders,
+    resultsWebhookUrl,
+    resultsEmail,
+    attachmentDelivery,
+    retry
+  };
+  return { errors, config, product: { category, schema, values }, attachments };
+}
+
+/**
+ * Expire an open campaign whose deadline has passed - campaigns are expired lazily by whoever looks first.
+ * A campaign still starting at its deadline never reached outreach and is marked failed instead
+ * @param {object} campaign - Campaign record
+ * @param {Date} now - Current time
+ */
+function expireIfDue(campaign, now) {
+  if (!['starting', 'open'].includes(campaign.status) || now <= new Date(campaign.deadline)) return;
+  campaign.status = campaign.status === 'open' ? 'expired' : 'failed';
+  campaign.closed_at = campaign.deadline;
+  campaign.close_reason = campaign.status === 'expired' ? 'deadline' : 'start_failed';
+}
+
+// The reserve and target price stay out of the status like they stay out of outreach
+const publicConfig = ({ reservePrice, targetPrice, ...config }) => config;
+
+/**
+ * Status report for Get Campaign
+ * Outreach status per reseller: queued -> contacted -> reminded -> responded
+ * @param {object} campaign - Campaign record, already expired if due
+ * @param {Date} now - Current time
+ * @returns {object} The status report
+ */
+function campaignStatus(campaign, now) {
+  // Only listed fields go out. Contact details, email refs and reply links stay private - an email
+  // ref or a reply link would let anyone reading the status bid as the reseller
+  const resellers = Object.entries(campaign.resellers || {}).map(([id, r]) => ({
+    reseller_id: id,
+    name: r.name,
+    region: r.region,
+    trust_score: r.trust_score,
+    channel: r.channel,
+    locale: r.locale,
+    batch: r.batch,
+    batch_started_at: r.batch_started_at,
+    queued_at: r.queued_at,
+    sent_at: r.sent_at,
+    reminders: r.reminders || [],
+    responded_at: r.responded_at || null,
+    outreach_status: r.responded_at ? 'responded' : (r.reminders || []).length ? 'reminded' : r.sent_at ? 'contacted' : 'queued',
+    delivery_status: campaign.delivery?.[id]?.status || null
+  }));
+  const outreach = { queued: 0, contacted: 0, reminded: 0, responded: 0, by_channel: {} };
+  resellers.forEach(r => {
+    outreach[r.outreach_status] += 1;
+    if (r.channel && r.sent_at) outreach.by_channel[r.channel] = (outreach.by_channel[r.channel] || 0) + 1;
+  });
+
+  return {
+    request_id: campaign.request_id,
+    status: campaign.status,
+    accepting_offers: campaign.status === 'open',
+    created_at: campaign.created_at,
+    deadline: campaign.deadline,
+    seconds_remaining: campaign.status === 'open' ?
+      Math.max(0, Math.round((new Date(campaign.deadline) - now) / 1000)) : 0,
+    closed_at: campaign.closed_at,
+    close_reason: campaign.close_reason,
+    results_dispatched_at: campaign.results_dispatched_at || null,
+    awarded_to: campaign.awarded_to,
+    reneged_by: campaign.reneged_by || [],
+    product: campaign.product,
+    config: publicConfig(campaign.config),
+    targeting: campaign.targeting || null,
+    resellers_contacted: resellers.filter(r => r.sent_at).length,
+    reminder_rounds_sent: campaign.reminder_rounds_sent || 0,
+    outreach,
+    unreachable: campaign.unreachable || [],
+    dispatch: campaign.dispatch || null,
+    delivery: campaign.delivery_report || null,
+    offers_received: Object.keys(campaign.offers || {}).length,
+    email_replies: campaign.email_replies || [],
+    api_quotes: campaign.api_quotes || [],
+    resellers
+  };
+}
+
+module.exports = {
+  checkStartRequest,
+  expireIfDue,
+  campaignStatus
+};
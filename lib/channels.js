@@ -0,0 +1,149 @@
+/**
+ * Outreach channels
+ * Adapters are keyed by channel name. api and email use the built-in Send API / Send Email nodes,
+ * http adapters are posted by Send Channel and stub adapters only record what would be sent.
+ */
+
+const builtInChannels = {
+  api: { transport: 'api', requires: 'api_url' },
+  email: { transport: 'email', requires: 'email' },
+  sms: {
+    transport: 'http',
+    requires: 'phone',
+    payload: { to: '{{phone}}', body: '{{short_text}}' }
+  },
+  whatsapp: {
+    transport: 'http',
+    requires: 'phone',
+    payload: { messaging_product: 'whatsapp', to: '{{phone}}', type: 'text', text: { body: '{{short_text}}' } }
+  },
+  webhook: {
+    transport: 'http',
+    requires: 'webhook_url',
+    url: '{{webhook_url}}',
+    payload: '{{api_body}}'
+  }
+};
+
+// Placeholders in urls and payloads must name a message field
+const VARIABLES = [
+  'phone', 'email', 'api_url', 'webhook_url', 'reseller_id', 'reseller_name', 'request_id',
+  'subject', 'text', 'short_text', 'reply_url', 'api_body'
+];
+const TRANSPORTS = ['api', 'email', 'http', 'stub'];
+const CONTACT_FIELDS = ['api_url', 'email', 'phone', 'webhook_url'];
+
+/**
+ * Check the adapters and mark which are available
+ * An http adapter without a url isn't set up and is skipped in the fallback order
+ * @param {object} adapters - Adapters by channel name; each gets an available flag
+ * @param {object} env - The node's $env, for the variables named by auth.env
+ * @returns {string[]} Errors, empty when every adapter is usable
+ */
+function checkChannels(adapters, env) {
+  const errors = [];
+  Object.entries(adapters).forEach(([name, adapter]) => {
+    if (!TRANSPORTS.includes(adapter.transport)) errors.push(`Channel ${name}: unknown transport ${adapter.transport}`);
+    if (!CONTACT_FIELDS.includes(adapter.requires)) errors.push(`Channel ${name}: requires must be one of ${CONTACT_FIELDS.join(', ')}`);
+    (JSON.stringify([adapter.url || '', adapter.payload || '']).match(/\{\{\s*[^}]*\}\}/g) || []).forEach(placeholder => {
+      if (!VARIABLES.includes(placeholder.slice(2, -2).trim())) errors.push(`Channel ${name} uses unknown variable ${placeholder}`);
+    });
+    if (adapter.auth && (typeof adapter.auth.header !== 'string' || typeof adapter.auth.env !== 'string')) {
+      errors.push(`Channel ${name}: auth needs a header and the env variable holding its value`);
+    }
+
+    if (adapter.rateLimit && ['perMinute', 'perHour'].some(window => adapter.rateLimit[window] !== undefined &&
+        !(Number.isInteger(adapter.rateLimit[window]) && adapter.rateLimit[window] > 0))) {
+      errors.push(`Channel ${name}: rateLimit needs whole numbers for perMinute and perHour`);
+    }
+
+    adapter.available = adapter.transport !== 'http' || Boolean(adapter.url);
+    if (adapter.available && adapter.auth?.env && !env[adapter.auth.env]) {
+      errors.push(`Channel ${name}: ${adapter.auth.env} is not set`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Fill url and payload placeholders with message fields
+ * A string that is a single placeholder takes the field's value as is, objects included
+ * @param {*} template - Adapter url or payload
+ * @param {object} fields - Message fields
+ * @returns {*} The filled copy
+ */
+function fill(template, fields) {
+  if (typeof template === 'string') {
+    const whole = /^\{\{\s*(\w+)\s*\}\}$/.exec(template);
+    return whole ? fields[whole[1]] : template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => fields[name] ?? '');
+  }
+  if (Array.isArray(template)) return template.map(value => fill(value, fields));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, fill(value, fields)]));
+  }
+  return template;
+}
+
+/**
+ * Channels to try for a reseller - its preferred channels, then the campaign fallback order
+ * A channel is usable when its adapter is set up and the reseller has the contact field it needs
+ * @param {object} reseller - Reseller with preferred_channels and its contact fields
+ * @param {object} channels - The campaign's { order, adapters }
+ * @returns {string[]} Channel names, best first
+ */
+function channelsFor(reseller, { order, adapters }) {
+  return [...String(reseller.preferred_channels || '').split(';').filter(Boolean), ...order]
+    .filter((name, index, all) => all.indexOf(name) === index)
+    .filter(name => adapters[name]?.available && reseller[adapters[name].requires]);
+}
+
+/**
+ * Message fields for adapter placeholders
+ * short_text carries the signing key along with the reply link, as SMS and WhatsApp
+ * resellers have no other way to sign their offer
+ * @param {object} reseller - Reseller with its contact fields
+ * @param {object} message - { resellerId, requestId, subject, text, replyUrl, apiBody }
+ * @returns {object} Message fields
+ */
+function messageFields(reseller, message) {
+  return {
+    phone: reseller.phone,
+    email: reseller.email,
+    api_url: reseller.api_url,
+    webhook_url: reseller.webhook_url,
+    reseller_id: message.resellerId,
+    reseller_name: reseller.name,
+    request_id: message.requestId,
+    subject: message.subject,
+    text: message.text,
+    short_text: `${message.subject}\n${message.replyUrl}\nSigning key: ${message.apiBody.signing_key}`,
+    reply_url: message.replyUrl,
+    api_body: message.apiBody
+  };
+}
+
+/**
+ * The request Send Channel makes for an http or stub adapter
+ * auth stays a reference to an env variable so the credential never lands in execution data
+ * @param {object} adapter - Channel adapter
+ * @param {object} fields - Message fields
+ * @returns {object|null} { method, url, headers, auth, body }, or null for api and email
+ */
+function channelRequest(adapter, fields) {
+  return ['http', 'stub'].includes(adapter.transport) ? {
+    method: adapter.method || 'POST',
+    url: fill(adapter.url || '', fields),
+    headers: adapter.headers || {},
+    auth: adapter.auth || null,
+    body: fill(adapter.payload ?? '{{api_body}}', fields)
+  } : null;
+}
+
+module.exports = {
+  builtInChannels,
+  checkChannels,
+  fill,
+  channelsFor,
+  messageFields,
+  channelRequest
+};
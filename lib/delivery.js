@@ -0,0 +1,70 @@
+/**
+ * Delivery tracking
+ * Track Delivery records how each outreach attempt went; these helpers read a send result and
+ * sum a campaign's delivery records up for Get Campaign.
+ */
+
+/**
+ * Status of a send and whether another try on the same channel could help
+ * Send results are { error } when a send failed, nodemailer's { accepted, rejected } for email
+ * and stubbed for the stub transport
+ * @param {object} json - The message paired with its send result
+ * @returns {object} { status, status_code?, reason?, retry? }
+ */
+function deliveryOutcome(json) {
+  if (json.stubbed) return { status: 'sent' };
+  if (json.error) {
+    const reason = typeof json.error === 'string' ? json.error :
+      json.error.message || json.error.description || JSON.stringify(json.error);
+    if (/timed? ?out|ETIMEDOUT|ECONNABORTED|ESOCKETTIMEDOUT/i.test(reason)) return { status: 'timeout', reason, retry: true };
+    if (json.transport === 'email') {
+      // SMTP 5xx is a hard bounce; 4xx and connection trouble are worth another try
+      const smtpCode = /\b([45]\d\d)\b/.exec(reason);
+      return { status: 'bounced', reason, retry: !smtpCode || smtpCode[1].startsWith('4') };
+    }
+    const statusCode = Number(json.error.httpCode || json.error.statusCode ||
+      (/(?:status code |^)(\d{3})\b/.exec(reason) || [])[1]) || null;
+    return {
+      status: 'http_error',
+      status_code: statusCode,
+      reason,
+      retry: !statusCode || statusCode === 408 || statusCode === 429 || statusCode >= 500
+    };
+  }
+  if (json.transport === 'email' && (json.rejected || []).length) {
+    return { status: 'bounced', reason: `Rejected by the mail server: ${json.rejected.join(', ')}`, retry: false };
+  }
+  return { status: 'sent' };
+}
+
+/**
+ * Counts by status and the resellers that could not be reached
+ * unconfirmed records are counted but not listed as failed - the message may have gone out
+ * @param {object} campaign - Campaign with its delivery records
+ * @param {string} now - Timestamp for updated_at
+ * @returns {object} The delivery report
+ */
+function deliveryReport(campaign, now) {
+  const records = Object.entries(campaign.delivery);
+  const done = records.filter(([, record]) => !record.retrying);
+  return {
+    by_status: done.reduce((counts, [, record]) => ({ ...counts, [record.status]: counts[record.status] + 1 }),
+      { sent: 0, unconfirmed: 0, bounced: 0, timeout: 0, http_error: 0 }),
+    retrying: records.length - done.length,
+    failed: done.filter(([, record]) => !['sent', 'unconfirmed'].includes(record.status)).map(([resellerId, record]) => ({
+      reseller_id: resellerId,
+      name: campaign.resellers[resellerId].name,
+      channel: record.channel,
+      status: record.status,
+      status_code: record.status_code,
+      reason: record.reason,
+      attempts: record.attempts
+    })),
+    updated_at: now
+  };
+}
+
+module.exports = {
+  deliveryOutcome,
+  deliveryReport
+};
@@ -0,0 +1,121 @@
+/**
+ * Email replies
+ * Parse Email Reply hands each reply to these helpers to read the message, match it to a campaign
+ * and reseller, and find the offer in it.
+ */
+
+/**
+ * Addresses of a header - they come as "Name <a@b>", as { value: [{ address }] } or as { text }
+ * @param {*} value - From, To, Cc, ...
+ * @returns {string[]} Lowercased addresses
+ */
+const addressesOf = value => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(addressesOf);
+  if (typeof value === 'object') return value.value ? addressesOf(value.value) : addressesOf(value.address || value.text);
+  return (String(value).match(/[^\s<>,;"]+@[^\s<>,;"]+/g) || []).map(a => a.toLowerCase());
+};
+const stripHtml = html => String(html).replace(/<br\s*\/?>|<\/p>/gi, '\n').replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+
+// Currency words and symbols, and amounts like 12.500,50 / 12,500.50 / 12.5k
+const currencies = { USD: 'USD', 'US$': 'USD', $: 'USD', DOLLAR: 'USD', DOLLARS: 'USD', EUR: 'EUR', '€': 'EUR', EURO: 'EUR', EUROS: 'EUR',
+  GBP: 'GBP', '£': 'GBP', POUND: 'GBP', POUNDS: 'GBP', CHF: 'CHF', 'FR.': 'CHF', FRANCS: 'CHF', JPY: 'JPY', '¥': 'JPY', '円': 'JPY', YEN: 'JPY' };
+const currencyPattern = 'USD|EUR|GBP|CHF|JPY|US\\$|\\$|€|£|¥|円|Fr\\.|dollars?|euros?|pounds?|francs|yen';
+const numberPattern = "\\d[\\d.,']*\\d|\\d";
+const amount = (raw, thousands) => {
+  const digits = raw.replace(/'/g, '');
+  // The last separator is a decimal point when 1-2 digits follow it: 12.500,50 / 12,500.50 / 12.5k
+  const decimal = /[.,](\d{1,2})$/.exec(digits);
+  const value = decimal ?
+    Number(digits.slice(0, decimal.index).replace(/[.,]/g, '') + '.' + decimal[1]) : Number(digits.replace(/[.,]/g, ''));
+  return thousands ? value * 1000 : value;
+};
+
+/**
+ * The new part of a reply - quoted history and signatures are dropped
+ * @param {string} text - The whole message text
+ * @returns {string} The reply text
+ */
+function replyTextOf(text) {
+  return text.split(/\r?\n/)
+    .reduce((acc, line) => {
+      if (acc.done) return acc;
+      if (/^(On .+wrote:|Am .+schrieb.*:|-----\s*Original Message|-- $|_{5,})/i.test(line.trim())) acc.done = true;
+      else if (!/^>/.test(line.trim())) acc.lines.push(line);
+      return acc;
+    }, { lines: [], done: false }).lines.join('\n').trim();
+}
+
+/**
+ * Match a reply - the ref from the reply-to address or the text first, then the subject and sender
+ * @param {object} message - { from, recipients, subject, text }
+ * @param {object} refs - Email refs: { ref: { request_id, reseller_id } }
+ * @param {object} campaigns - Campaigns by request id, for the subject match
+ * @returns {object|null} { request_id, reseller_id, matched_by }
+ */
+function matchReply({ from, recipients, subject, text }, refs, campaigns) {
+  const refMatch = [...recipients, subject, text]
+    .map(part => /(?:\+|ref:)([a-f0-9]{12})\b/i.exec(part))
+    .find(match => match && refs[match[1].toLowerCase()]);
+  if (refMatch) return { ...refs[refMatch[1].toLowerCase()], matched_by: 'ref' };
+
+  const baseSubject = subject.replace(/^\s*((re|aw|sv|fwd?|wg)\s*:\s*)+/i, '').trim();
+  const candidates = Object.values(campaigns)
+    .flatMap(campaign => Object.entries(campaign.resellers || {})
+      .filter(([, reseller]) => reseller.subject === baseSubject && reseller.email.toLowerCase() === from)
+      .map(([resellerId, reseller]) => ({ request_id: campaign.request_id, reseller_id: resellerId, sent_at: reseller.sent_at })))
+    .sort((a, b) => new Date(b.sent_at) - new Date(a.sent_at));
+  return candidates.length ? { request_id: candidates[0].request_id, reseller_id: candidates[0].reseller_id, matched_by: 'subject' } : null;
+}
+
+/**
+ * Price, currency and terms - a JSON block wins, then amounts with a currency, then a bare
+ * number next to a price word in the campaign base currency
+ * @param {string} replyText - The reply text
+ * @param {string} baseCurrency - The campaign base currency
+ * @returns {object|null} { price, currency, terms, confidence }, or null without a price
+ */
+function parseOffer(replyText, baseCurrency) {
+  let parsed = null;
+  const jsonBlock = /\{[^{}]*"price"[^{}]*\}/.exec(replyText);
+  if (jsonBlock) {
+    try {
+      const data = JSON.parse(jsonBlock[0]);
+      if (data.price !== undefined) {
+        parsed = { price: Number(data.price), currency: String(data.currency || '').toUpperCase(), terms: data.terms || '', confidence: 0.95 };
+      }
+    } catch (e) {
+      // Broken JSON falls through to the text patterns
+    }
+  }
+  if (!parsed) {
+    const found = [];
+    const before = new RegExp(`(${currencyPattern})\\s?(${numberPattern})\\s?(k\\b)?`, 'gi');
+    const after = new RegExp(`(${numberPattern})\\s?(k\\b)?\\s?(${currencyPattern})(?![a-z])`, 'gi');
+    let m;
+    while ((m = before.exec(replyText))) found.push({ index: m.index, price: amount(m[2], m[3]), currency: currencies[m[1].toUpperCase()] });
+    while ((m = after.exec(replyText))) found.push({ index: m.index, price: amount(m[1], m[2]), currency: currencies[m[3].toUpperCase()] });
+    found.sort((a, b) => a.index - b.index);
+    const distinct = [...new Set(found.map(f => `${f.price} ${f.currency}`))];
+    if (found.length) {
+      parsed = { price: found[0].price, currency: found[0].currency, confidence: distinct.length === 1 ? 0.85 : 0.5 };
+    } else {
+      const bare = /(offer|price|bid|quote|pay|angebot|preis|gebot|価格|金額)[^\n\d]{0,30}(\d[\d.,']*\d)\s?(k\b)?/i.exec(replyText);
+      if (bare) parsed = { price: amount(bare[2], bare[3]), currency: baseCurrency, confidence: 0.5 };
+    }
+    if (parsed) {
+      const termsLine = /^\s*(terms|payment|conditions|bedingungen|zahlung|条件)\s*[:：]\s*(.+)$/im.exec(replyText);
+      parsed.terms = termsLine ? termsLine[2].trim() : replyText.slice(0, 500);
+    }
+  }
+  return parsed;
+}
+
+module.exports = {
+  addressesOf,
+  stripHtml,
+  replyTextOf,
+  matchReply,
+  parseOffer
+};
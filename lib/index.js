@@ -0,0 +1,19 @@
+/**
+ * Disposable Marketplace library
+ * Loaded by the workflow's function nodes with require('disposable-marketplace-lib')
+ */
+
+module.exports = {
+  ...require('./state'),
+  ...require('./campaigns'),
+  ...require('./products'),
+  ...require('./templates'),
+  ...require('./attachments'),
+  ...require('./channels'),
+  ...require('./resellers'),
+  ...require('./signing'),
+  ...require('./rate-limit'),
+  ...require('./delivery'),
+  ...require('./scoring'),
+  ...require('./email-replies')
+};
@@ -0,0 +1,208 @@
+/**
+ * Product schemas
+ * Each category lists its attributes: { label, display, fields: { name: rule }, summary }.
+ * Rules have a type (string, number, integer, boolean, enum) and optionally required, default,
+ * min, max, values, pattern, hint, unit and label.
+ */
+
+const builtInSchemas = nextYear => ({
+  general: {
+    label: 'General',
+    display: '{brand} {model} ({year})',
+    fields: {
+      brand: { type: 'string', required: true },
+      model: { type: 'string', required: true },
+      year: { type: 'integer', min: 1800, max: nextYear },
+      condition: { type: 'string', default: 'Used' },
+      serial: { type: 'string', label: 'Serial number' }
+    },
+    summary: ['brand', 'model', 'year', 'condition']
+  },
+  watches: {
+    label: 'Watches',
+    display: '{brand} {model} ({year})',
+    fields: {
+      brand: { type: 'string', required: true },
+      model: { type: 'string', required: true },
+      reference: { type: 'string', label: 'Reference number' },
+      year: { type: 'integer', min: 1800, max: nextYear },
+      condition: { type: 'enum', values: ['New', 'Unworn', 'Excellent', 'Very good', 'Good', 'Fair', 'Used'] },
+      box_papers: { type: 'boolean', label: 'Box and papers' },
+      serial: { type: 'string', label: 'Serial number' }
+    },
+    summary: ['brand', 'model', 'reference', 'year', 'condition']
+  },
+  classic_cars: {
+    label: 'Classic Cars',
+    display: '{year} {make} {model}',
+    fields: {
+      make: { type: 'string', required: true },
+      model: { type: 'string', required: true },
+      year: { type: 'integer', required: true, min: 1885, max: nextYear },
+      mileage: { type: 'number', min: 0, unit: 'mi' },
+      vin: { type: 'string', label: 'VIN', pattern: '^[A-HJ-NPR-Z0-9]{5,17}$', hint: '5-17 letters and digits, no I, O or Q' },
+      condition: { type: 'enum', values: ['Concours', 'Excellent', 'Good', 'Driver', 'Project'] },
+      matching_numbers: { type: 'boolean' },
+      location: { type: 'string' }
+    },
+    summary: ['make', 'model', 'year', 'mileage', 'condition']
+  },
+  art: {
+    label: 'Art',
+    display: '{artist}, {title} ({year})',
+    fields: {
+      artist: { type: 'string', required: true },
+      title: { type: 'string', required: true },
+      year: { type: 'integer', min: 0, max: nextYear },
+      medium: { type: 'string' },
+      dimensions: { type: 'string', pattern: '^\\d+(\\.\\d+)?\\s*x\\s*\\d+(\\.\\d+)?(\\s*x\\s*\\d+(\\.\\d+)?)?\\s*(cm|mm|in)$', hint: 'e.g. 100 x 80 cm' },
+      edition: { type: 'string' },
+      signed: { type: 'boolean' },
+      provenance: { type: 'string' }
+    },
+    summary: ['artist', 'title', 'year', 'medium']
+  },
+  real_estate: {
+    label: 'Real Estate',
+    display: '{property_type} in {location}',
+    fields: {
+      property_type: { type: 'enum', required: true, label: 'Property type', values: ['House', 'Apartment', 'Land', 'Commercial'] },
+      location: { type: 'string', required: true },
+      square_feet: { type: 'number', required: true, min: 1, unit: 'sq ft', label: 'Floor area' },
+      bedrooms: { type: 'integer', min: 0 },
+      bathrooms: { type: 'number', min: 0 },
+      year_built: { type: 'integer', min: 1000, max: nextYear, label: 'Year built' },
+      lot_size: { type: 'number', min: 0, unit: 'sq ft', label: 'Lot size' }
+    },
+    summary: ['property_type', 'location', 'square_feet']
+  },
+  industrial_equipment: {
+    label: 'Industrial Equipment',
+    display: '{manufacturer} {model} ({year})',
+    fields: {
+      manufacturer: { type: 'string', required: true },
+      model: { type: 'string', required: true },
+      year: { type: 'integer', min: 1900, max: nextYear },
+      operating_hours: { type: 'number', min: 0, unit: 'h', label: 'Operating hours' },
+      serial: { type: 'string', label: 'Serial number' },
+      condition: { type: 'enum', values: ['New', 'Refurbished', 'Used', 'For parts'] },
+      location: { type: 'string' }
+    },
+    summary: ['manufacturer', 'model', 'year', 'operating_hours']
+  }
+});
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'enum'];
+
+/**
+ * The built-in schemas with the ones from PRODUCT_SCHEMAS_FILE added or replacing them
+ * @param {object} [extra] - Schemas by category
+ * @returns {object} Schemas by category
+ */
+function productSchemas(extra) {
+  return { ...builtInSchemas(new Date().getUTCFullYear() + 1), ...extra };
+}
+
+/**
+ * Check a product against its category's schema - numbers and booleans are coerced, enums matched case-insensitively
+ * @param {object} product - The start request's product
+ * @param {object} legacy - The start request itself; top-level brand/model/year/... predate the product object
+ * @param {object} schemas - Schemas by category
+ * @returns {object} { category, schema, values, errors }
+ */
+function checkProduct(product, legacy, schemas) {
+  const errors = [];
+  const category = String(product.category || 'general').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const schema = schemas[category];
+  const values = {};
+  if (!schema) {
+    errors.push(`Unknown product category: ${category} (expected ${Object.keys(schemas).join(', ')})`);
+    return { category, schema, values, errors };
+  }
+  if (typeof schema.display !== 'string' || !schema.fields || typeof schema.fields !== 'object' ||
+      Object.values(schema.fields).some(rule => !FIELD_TYPES.includes(rule.type) || (rule.type === 'enum' && !Array.isArray(rule.values)))) {
+    errors.push(`Invalid product schema: ${category}`);
+    return { category, schema, values, errors };
+  }
+
+  const meta = ['category', 'reservePrice', 'targetPrice'];
+  Object.keys(product).filter(field => !meta.includes(field) && !schema.fields[field])
+    .forEach(field => errors.push(`Unknown product attribute for ${category}: ${field}`));
+
+  Object.entries(schema.fields).forEach(([field, rule]) => {
+    const raw = product[field] !== undefined ? product[field] : legacy[field];
+    if (raw === undefined || raw === null || raw === '') {
+      if (rule.default !== undefined) values[field] = rule.default;
+      else if (rule.required) errors.push(`Missing: product.${field}`);
+      return;
+    }
+    const invalid = expected => errors.push(`Invalid product.${field}: expected ${expected}`);
+    if (rule.type === 'number' || rule.type === 'integer') {
+      const value = Number(raw);
+      const range = rule.min !== undefined && rule.max !== undefined ? ` between ${rule.min} and ${rule.max}` :
+        rule.min !== undefined ? ` >= ${rule.min}` : rule.max !== undefined ? ` <= ${rule.max}` : '';
+      if (!isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value)) ||
+          (rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return invalid(`${rule.type === 'integer' ? 'an integer' : 'a number'}${range}`);
+      }
+      values[field] = value;
+    } else if (rule.type === 'boolean') {
+      const value = String(raw).toLowerCase();
+      if (!['true', 'false', 'yes', 'no'].includes(value)) return invalid('true or false');
+      values[field] = value === 'true' || value === 'yes';
+    } else if (rule.type === 'enum') {
+      const value = rule.values.find(v => v.toLowerCase() === String(raw).trim().toLowerCase());
+      if (!value) return invalid(`one of ${rule.values.join(', ')}`);
+      values[field] = value;
+    } else {
+      const value = String(raw).trim();
+      if (rule.pattern && !new RegExp(rule.pattern, 'i').test(value)) return invalid(rule.hint || `to match ${rule.pattern}`);
+      values[field] = value;
+    }
+  });
+  return { category, schema, values, errors };
+}
+
+/**
+ * Display name and the remaining attributes in schema order, for outreach and summaries
+ * @param {object} schema - The category's schema
+ * @param {object} values - Checked attribute values
+ * @returns {object} { title, details: [{ field, label, value }] }
+ */
+function describeProduct(schema, values) {
+  const displayFields = (schema.display.match(/\{\w+\}/g) || []).map(placeholder => placeholder.slice(1, -1));
+  const title = schema.display.replace(/\{(\w+)\}/g, (_, field) => values[field] ?? '')
+    .replace(/\(\s*\)/g, '').replace(/\s+/g, ' ').replace(/[\s,]+$/, '').trim();
+  const details = Object.entries(schema.fields)
+    .filter(([field]) => !displayFields.includes(field) && values[field] !== undefined)
+    .map(([field, rule]) => {
+      const value = values[field];
+      return {
+        field,
+        label: rule.label || field.charAt(0).toUpperCase() + field.slice(1).replace(/_/g, ' '),
+        value: typeof value === 'boolean' ? (value ? 'Yes' : 'No') :
+          typeof value === 'number' && rule.unit ? `${value.toLocaleString('en-US')} ${rule.unit}` : String(value)
+      };
+    });
+  return { title, details };
+}
+
+/**
+ * The attributes a summary shows - the schema's summary list, or every attribute for campaigns without one
+ * @param {object} campaign - Campaign record
+ * @returns {object} Attributes by name, with the category
+ */
+function summaryProduct(campaign) {
+  const fields = campaign.product_schema?.summary;
+  if (!fields) return campaign.product;
+  return Object.fromEntries(['category', ...fields]
+    .filter(field => campaign.product[field] !== undefined)
+    .map(field => [field, campaign.product[field]]));
+}
+
+module.exports = {
+  productSchemas,
+  checkProduct,
+  describeProduct,
+  summaryProduct
+};
@@ -0,0 +1,64 @@
+/**
+ * Rate limiting
+ * The rate limiter log keeps send times per limit key (global, channel:<name>, domain:<host>)
+ * over the last hour; Rate Limit checks each message's keys against it.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Limits as [window, limit] pairs, leaving out windows without a limit
+ * @param {*} perMinute - Sends per minute
+ * @param {*} perHour - Sends per hour
+ * @returns {Array} [[window ms, limit]]
+ */
+const limitsFrom = (perMinute, perHour) => [[MINUTE, Number(perMinute) || 0], [HOUR, Number(perHour) || 0]]
+  .filter(([, limit]) => limit > 0);
+
+const hostOf = url => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+};
+
+/**
+ * Email is limited per recipient domain, API and channel requests per host
+ * @param {object} message - Outreach message or reminder
+ * @returns {string} Domain or host, '' when there is none
+ */
+const domainOf = message => message.transport === 'email' ? String(message.email).split('@')[1]?.toLowerCase() || '' :
+  hostOf(message.transport === 'api' ? message.api_url : message.channelRequest?.url);
+
+/**
+ * Drop send times older than an hour
+ * @param {object} log - Send times by limit key
+ * @param {number} now - Epoch ms
+ */
+function pruneLog(log, now) {
+  Object.keys(log).forEach(key => {
+    log[key] = log[key].filter(sentAt => sentAt > now - HOUR);
+    if (log[key].length === 0) delete log[key];
+  });
+}
+
+/**
+ * Milliseconds until one more send fits under every limit
+ * @param {object} log - Send times by limit key
+ * @param {Array} keys - [[key, limits]]
+ * @param {number} now - Epoch ms
+ * @returns {number} 0 when it fits now
+ */
+const waitFor = (log, keys, now) => Math.max(0, ...keys.flatMap(([key, limits]) => limits.map(([window, limit]) => {
+  const recent = (log[key] || []).filter(sentAt => sentAt > now - window);
+  return recent.length < limit ? 0 : recent[recent.length - limit] + window - now;
+})));
+
+module.exports = {
+  limitsFrom,
+  domainOf,
+  pruneLog,
+  waitFor
+};
@@ -0,0 +1,100 @@
+/**
+ * Reseller directory and targeting
+ * Validate Resellers merges each CSV row into the directory, blends its trust score with the
+ * reseller's track record and picks who a campaign contacts.
+ */
+
+/**
+ * Track record on a 0-10 scale: response rate 4, win rate 2, no reneges 3, speed 1
+ * @param {object} history - { contacted, responded, won, reneged, response_times }
+ * @returns {object} Rates, median response time and score
+ */
+function historyTrust(history) {
+  const times = [...history.response_times].sort((a, b) => a - b);
+  const median = times.length ? (times.length % 2 ? times[(times.length - 1) / 2] :
+    (times[times.length / 2 - 1] + times[times.length / 2]) / 2) : null;
+  const responseRate = history.contacted ? history.responded / history.contacted : 0;
+  const winRate = history.responded ? history.won / history.responded : 0;
+  const renegeRate = history.won ? history.reneged / history.won : 0;
+  const speed = median === null ? 0 : Math.min(1, Math.max(0, 1 - (median - 300) / 3300));
+
+  return {
+    response_rate: Math.round(responseRate * 100) / 100,
+    win_rate: Math.round(winRate * 100) / 100,
+    renege_rate: Math.round(renegeRate * 100) / 100,
+    median_response_time_s: median,
+    score: Math.round((responseRate * 4 + winRate * 2 + (1 - renegeRate) * 3 + speed) * 10) / 10
+  };
+}
+
+/**
+ * Contact details from a CSV row
+ * Phone numbers keep only digits and a leading +; channels come from channel or preferred_channels
+ * @param {object} row - CSV row
+ * @returns {object|null} The contact, or null when the row has no name or no way to reach the reseller
+ */
+function contactFromRow(row) {
+  if (!row.id && !row.reseller_id && !row.email) return null;
+  if (!row.name) return null;
+  const phone = String(row.phone || '').replace(/[\s().-]/g, '');
+  const validPhone = /^\+?\d{6,15}$/.test(phone);
+  if (!row.email && !row.api_url && !validPhone && !row.webhook_url) return null;
+
+  return {
+    name: row.name,
+    email: row.email || '',
+    api_url: row.api_url || '',
+    region: row.region || 'Unknown',
+    specialty: row.specialty || 'General',
+    language: row.language || '',
+    phone: validPhone ? phone : '',
+    webhook_url: row.webhook_url || '',
+    preferred_channels: String(row.preferred_channels || row.channel || '')
+      .split(/[;,|]/).map(c => c.trim().toLowerCase()).filter(Boolean).join(';')
+  };
+}
+
+/**
+ * Targeting - drop resellers outside the campaign's regions, specialties and trust floor, then
+ * contact specialists before generalists and higher trust first
+ * @param {Array} resellers - Validated resellers, as items
+ * @param {object} targeting - The campaign's { regions, specialties, minTrust, maxResellers }
+ * @returns {object} { selected, report }
+ */
+function targetResellers(resellers, targeting) {
+  const lower = list => list.map(v => v.toLowerCase());
+  const regions = lower(targeting.regions);
+  const specialties = lower(targeting.specialties);
+  const specialtiesOf = r => lower(String(r.specialty).split(/[;,|]/).map(v => v.trim()).filter(Boolean));
+  const isSpecialist = r => specialties.length > 0 && specialtiesOf(r).some(s => specialties.includes(s));
+
+  const excludedBy = { region: 0, specialty: 0, min_trust: 0, max_resellers: 0 };
+  const eligible = resellers.filter(({ json: r }) => {
+    let reason = null;
+    if (regions.length && !regions.includes(String(r.region).toLowerCase())) reason = 'region';
+    else if (specialties.length && !isSpecialist(r) && !specialtiesOf(r).includes('general')) reason = 'specialty';
+    else if (targeting.minTrust !== null && r.trust_score < targeting.minTrust) reason = 'min_trust';
+    if (reason) excludedBy[reason] += 1;
+    return !reason;
+  });
+
+  eligible.sort((a, b) => (isSpecialist(b.json) - isSpecialist(a.json)) || (b.json.trust_score - a.json.trust_score));
+  const selected = eligible.slice(0, targeting.maxResellers);
+  excludedBy.max_resellers = eligible.length - selected.length;
+
+  return {
+    selected,
+    report: {
+      candidates: resellers.length,
+      selected: selected.length,
+      excluded: resellers.length - selected.length,
+      excluded_by: excludedBy
+    }
+  };
+}
+
+module.exports = {
+  historyTrust,
+  contactFromRow,
+  targetResellers
+};
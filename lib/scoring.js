@@ -0,0 +1,219 @@
+/**
+ * Scoring and ranking
+ * Validate Input builds a campaign's scoring profile, Score Offer checks and scores each offer with it and
+ * Rank Top 5 ranks the stored offers for summaries.
+ */
+
+/**
+ * Scoring profile - defaults reproduce the original model; PRICE/TRUST/TIME_PENALTY/
+ * TERMS_BONUS_WEIGHT set the weights and config.scoring overrides any part per campaign
+ * @param {object} input - The start request's config.scoring
+ * @param {object} env - The node's $env
+ * @returns {object} { profile, errors }
+ */
+function scoringProfile(input, env) {
+  const envWeight = (name, fallback) => env[name] !== undefined ? Number(env[name]) : fallback;
+  const profile = {
+    weights: {
+      price: envWeight('PRICE_WEIGHT', 1),
+      trust: envWeight('TRUST_WEIGHT', 1),
+      time: envWeight('TIME_PENALTY_WEIGHT', 1),
+      terms: envWeight('TERMS_BONUS_WEIGHT', 1),
+      ...input.weights
+    },
+    trust: { baseline: 5, pointsPerUnit: 100, ...input.trust },
+    timePenalty: { graceSeconds: 300, unitSeconds: 60, exponent: 1.5, multiplier: 50, ...input.timePenalty },
+    terms: input.terms || [
+      { keywords: ['wire', 'bank'], bonus: 50 },
+      { keywords: ['24', 'immediate'], bonus: 30 },
+      { keywords: ['certified'], bonus: 20 }
+    ]
+  };
+
+  const errors = [];
+  const numbers = {
+    ...Object.fromEntries(Object.entries(profile.weights).map(([k, v]) => [`weights.${k}`, v])),
+    ...Object.fromEntries(Object.entries(profile.trust).map(([k, v]) => [`trust.${k}`, v])),
+    ...Object.fromEntries(Object.entries(profile.timePenalty).map(([k, v]) => [`timePenalty.${k}`, v]))
+  };
+  Object.entries(numbers).forEach(([path, value]) => {
+    if (typeof value !== 'number' || !isFinite(value)) errors.push(`Invalid scoring.${path}`);
+  });
+  if (Object.values(profile.weights).some(w => w < 0)) errors.push('Scoring weights must not be negative');
+  if (!(profile.timePenalty.unitSeconds > 0) || !(profile.timePenalty.exponent > 0)) {
+    errors.push('Invalid scoring.timePenalty curve');
+  }
+  if (!Array.isArray(profile.terms) || profile.terms.some(rule =>
+    !Array.isArray(rule.keywords) || !rule.keywords.length ||
+    rule.keywords.some(k => typeof k !== 'string' || !k) || typeof rule.bonus !== 'number')) {
+    errors.push('Invalid scoring.terms: expected [{ keywords: [string], bonus: number }]');
+  }
+  return { profile, errors };
+}
+
+const round = n => Math.round(n * 100) / 100;
+
+// Currencies accepted as a campaign base and for offers; Load FX Rates snapshots a rate for each
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CHF', 'JPY'];
+
+/**
+ * Check an offer's price and currency and normalize it to the campaign base currency using the
+ * rates snapshotted at start
+ * @param {object} offer - { price, currency }
+ * @param {object} campaign - Campaign record with its fx snapshot
+ * @returns {object} { price, priceBase, fxRate, errors }
+ */
+function checkOffer(offer, campaign) {
+  const errors = [];
+  ['price', 'currency'].forEach(field => {
+    if (!offer[field]) errors.push(`Missing: ${field}`);
+  });
+
+  const price = Number(offer.price);
+  if (isNaN(price) || price <= 0) errors.push('Invalid price');
+  if (!CURRENCIES.includes(offer.currency)) errors.push('Invalid currency');
+
+  const fx = campaign.fx;
+  const fxRate = fx.rates[offer.currency];
+  if (CURRENCIES.includes(offer.currency) && !fxRate) errors.push(`No FX rate for ${offer.currency}`);
+  const priceBase = fxRate ? round(price / fxRate) : NaN;
+  if (priceBase > campaign.config.maxPrice) {
+    errors.push(`Price too high (max ${fx.base} ${campaign.config.maxPrice.toLocaleString()})`);
+  }
+  return { price, priceBase, fxRate, errors };
+}
+
+/**
+ * Score an offer - weights, penalty curve and term bonuses come from the campaign profile.
+ * Buy campaigns want the lowest quote, so price counts against the score
+ * @param {object} profile - The campaign's scoring profile
+ * @param {object} offer - { priceBase, trustScore, responseTime, terms }
+ * @param {string} mode - sell or buy
+ * @returns {object} { score, breakdown }
+ */
+function offerScore(profile, { priceBase, trustScore, responseTime, terms }, mode) {
+  const { weights, timePenalty: curve } = profile;
+  const text = (terms || '').toLowerCase();
+  const overtime = Math.max(0, responseTime - curve.graceSeconds);
+  const matchedTerms = profile.terms.filter(rule =>
+    rule.keywords.some(keyword => text.includes(keyword.toLowerCase())));
+  const direction = mode === 'buy' ? -1 : 1;
+
+  const breakdown = {
+    price: round(direction * priceBase * weights.price),
+    trust: round((trustScore - profile.trust.baseline) * profile.trust.pointsPerUnit * weights.trust),
+    time_penalty: round(-(overtime > 0 ?
+      Math.pow(overtime / curve.unitSeconds, curve.exponent) * curve.multiplier : 0) * weights.time),
+    terms: round(matchedTerms.reduce((sum, rule) => sum + rule.bonus, 0) * weights.terms),
+    matched_terms: matchedTerms.map(rule => rule.keywords.join('/'))
+  };
+  const score = round(breakdown.price + breakdown.trust + breakdown.time_penalty + breakdown.terms);
+  return { score, breakdown };
+}
+
+/**
+ * Reserve check - a floor when selling, a ceiling when buying
+ * @param {number} priceBase - Offer in the base currency
+ * @param {number|null} reservePrice - The campaign's reserve
+ * @param {string} mode - sell or buy
+ * @returns {string} cleared, below_reserve, above_reserve, or '' without a reserve
+ */
+function reserveStatus(priceBase, reservePrice, mode) {
+  if (!reservePrice) return '';
+  if (mode === 'buy') return priceBase > reservePrice ? 'above_reserve' : 'cleared';
+  return priceBase < reservePrice ? 'below_reserve' : 'cleared';
+}
+
+/**
+ * Rank stored offers for a summary
+ * Only each reseller's latest revision per campaign counts; offers that missed the reserve are
+ * reported but never ranked
+ * @param {Array} rows - Offer rows in scope
+ * @param {object} options - { mode, limit, baseCurrency, reservePrice, targetPrice }; without a
+ *   baseCurrency it comes from the rows
+ * @returns {object} { labels, analytics, top_offers }
+ */
+function rankOffers(rows, { mode, limit, baseCurrency, reservePrice, targetPrice }) {
+  const labels = mode === 'buy' ?
+    { title: 'Lowest Quotes', offer: 'quote', best_price: 'lowest_quote' } :
+    { title: 'Top Offers', offer: 'offer', best_price: 'highest_offer' };
+
+  const latest = {};
+  rows.forEach(o => {
+    const key = `${o.request_id}:${o.reseller_id}`;
+    const current = latest[key];
+    if (!current || Number(o.revision || 0) > Number(current.revision || 0) ||
+        (Number(o.revision || 0) === Number(current.revision || 0) && new Date(o.timestamp) > new Date(current.timestamp))) {
+      latest[key] = o;
+    }
+  });
+  const offers = Object.values(latest);
+
+  // Compare amounts in the campaign base currency (rows without one predate FX normalization)
+  const basePrice = o => Number(o.price_base || o.price);
+  const baseCurrencies = [...new Set(offers.map(o => o.base_currency || o.currency))];
+
+  offers.sort((a, b) => Number(b.score) - Number(a.score));
+
+  const analytics = {
+    total_offers: offers.length,
+    superseded_revisions: rows.length - offers.length,
+    unique_resellers: new Set(offers.map(o => o.reseller_id)).size,
+    base_currency: baseCurrency || (baseCurrencies.length === 1 ? baseCurrencies[0] : 'mixed'),
+    avg_price: offers.length > 0 ?
+      Math.round(offers.reduce((sum, o) => sum + basePrice(o), 0) / offers.length) : 0,
+    avg_response_time: offers.length > 0 ?
+      Math.round(offers.reduce((sum, o) => sum + Number(o.response_time_s || 0), 0) / offers.length) : 0,
+    price_range: {
+      min: offers.length > 0 ? Math.min(...offers.map(basePrice)) : 0,
+      max: offers.length > 0 ? Math.max(...offers.map(basePrice)) : 0
+    }
+  };
+  analytics[labels.best_price] = mode === 'buy' ? analytics.price_range.min : analytics.price_range.max;
+
+  const missedReserve = o => o.reserve_status === 'below_reserve' || o.reserve_status === 'above_reserve';
+  const eligible = offers.filter(o => !missedReserve(o));
+
+  // Email replies parsed with low confidence stay ranked but are flagged for a human to check
+  analytics.needs_review = offers.filter(o => String(o.needs_review).toLowerCase() === 'true').length;
+
+  analytics.reserve = {
+    reserve_price: reservePrice || null,
+    cleared: offers.filter(o => o.reserve_status === 'cleared').length,
+    missed: offers.length - eligible.length
+  };
+
+  if (targetPrice && eligible.length > 0) {
+    const best = mode === 'buy' ? Math.min(...eligible.map(basePrice)) : Math.max(...eligible.map(basePrice));
+    const beatBy = mode === 'buy' ? targetPrice - best : best - targetPrice;
+    analytics.target = {
+      target_price: targetPrice,
+      best_price: best,
+      beat_by: round(beatBy),
+      beat_by_pct: Math.round(beatBy / targetPrice * 10000) / 100
+    };
+  } else {
+    analytics.target = { target_price: targetPrice || null, best_price: null, beat_by: null, beat_by_pct: null };
+  }
+
+  const topOffers = eligible.slice(0, limit).map((offer, index) => ({
+    rank: index + 1,
+    ...offer,
+    score_breakdown: typeof offer.score_breakdown === 'string' && offer.score_breakdown ?
+      JSON.parse(offer.score_breakdown) : (offer.score_breakdown || null),
+    price_formatted: `${offer.currency} ${Number(offer.price).toLocaleString()}` +
+      (offer.base_currency && offer.base_currency !== offer.currency ?
+        ` (≈ ${offer.base_currency} ${basePrice(offer).toLocaleString()})` : '')
+  }));
+
+  return { labels, analytics, top_offers: topOffers };
+}
+
+module.exports = {
+  CURRENCIES,
+  scoringProfile,
+  checkOffer,
+  offerScore,
+  reserveStatus,
+  rankOffers
+};
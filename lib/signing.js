@@ -0,0 +1,49 @@
+/**
+ * Offer signing
+ * Each reseller signs offers with a per-reseller, per-request key derived from WEBHOOK_SECRET,
+ * so the key can be recomputed instead of stored. The campaign status and close endpoints take
+ * WEBHOOK_SECRET itself in X-Webhook-Secret.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * The key a reseller signs offers for a campaign with
+ * @param {string} secret - WEBHOOK_SECRET
+ * @param {string} requestId - Campaign
+ * @param {string} resellerId - Reseller
+ * @returns {string} Hex key
+ */
+const signingKey = (secret, requestId, resellerId) => crypto.createHmac('sha256', secret)
+  .update(`${requestId}:${resellerId}`).digest('hex');
+
+/**
+ * Check X-Signature - an HMAC-SHA256 of the raw body keyed with the signing key
+ * @param {string} signature - Hex digest, optionally prefixed with sha256=
+ * @param {Buffer} rawBody - The body exactly as received
+ * @param {string} key - The reseller's signing key
+ * @returns {boolean} Whether the signature matches
+ */
+function signatureMatches(signature, rawBody, key) {
+  const given = String(signature || '').replace(/^sha256=/i, '');
+  const expected = crypto.createHmac('sha256', key).update(rawBody).digest('hex');
+  return given.length === expected.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+/**
+ * Check a shared secret sent in a header, in constant time
+ * @param {string} given - Header value
+ * @param {string} secret - The configured secret
+ * @returns {boolean} Whether they match
+ */
+function secretMatches(given, secret) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(String(secret));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  signingKey,
+  signatureMatches,
+  secretMatches
+};
@@ -0,0 +1,187 @@
+/**
+ * Campaign state store
+ * Campaigns, reply tokens, email refs, the reseller directory and the rate limiter log are shared by
+ * every execution, so they can't live in workflow static data: N8N writes that back whole when an
+ * execution ends, and a long execution would overwrite what others changed in the meantime.
+ * Each transaction here holds the store's lock, reads the records it needs, and writes back only
+ * what changed before the lock is released.
+ *
+ * STATE_STORE=file (default) keeps one JSON document in STATE_STORE_FILE, locked with a lock file.
+ * STATE_STORE=postgres keeps one row per record in the marketplace_state table (STATE_STORE_URL).
+ */
+
+const fs = require('fs');
+
+// Sections keyed by id; the rest are single lists
+const MAPS = ['campaigns', 'replyTokens', 'emailRefs', 'resellerDirectory', 'rateLimit'];
+const LISTS = ['stubOutbox', 'unmatchedEmails'];
+
+const LOCK_TIMEOUT_MS = 10000;
+const STALE_LOCK_MS = 30000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function fileBackend(file) {
+  if (!file) throw new Error('STATE_STORE_FILE is not configured');
+  const lockFile = `${file}.lock`;
+  let document = null;
+
+  return {
+    async begin() {
+      const started = Date.now();
+      for (;;) {
+        try {
+          fs.closeSync(fs.openSync(lockFile, 'wx'));
+          break;
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+          // A lock left behind by a crashed process is taken over
+          const age = Date.now() - fs.statSync(lockFile, { throwIfNoEntry: false })?.mtimeMs;
+          if (age > STALE_LOCK_MS) fs.rmSync(lockFile, { force: true });
+          else if (Date.now() - started > LOCK_TIMEOUT_MS) throw new Error(`State store is locked: ${lockFile}`);
+          else await sleep(20);
+        }
+      }
+      document = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8') || '{}') : {};
+    },
+    async read(section, keys) {
+      if (LISTS.includes(section)) return document[section] === undefined ? [] : [['', document[section]]];
+      return Object.entries(document[section] || {}).filter(([key]) => !keys || keys.includes(key));
+    },
+    async write(changes) {
+      if (changes.length === 0) return;
+      // The document has the same shape as the state, lists included
+      changes.forEach(({ section, key, value }) => {
+        if (LISTS.includes(section)) {
+          document[section] = value;
+          return;
+        }
+        document[section] = document[section] || {};
+        if (value === undefined) delete document[section][key];
+        else document[section][key] = value;
+      });
+      // Written aside and renamed, so a crash never leaves half a document
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(document));
+      fs.renameSync(`${file}.tmp`, file);
+    },
+    async end() {
+      fs.rmSync(lockFile, { force: true });
+    }
+  };
+}
+
+function postgresBackend(url) {
+  if (!url) throw new Error('STATE_STORE_URL is not configured');
+  const { Client } = require('pg');
+  const client = new Client({ connectionString: url });
+
+  return {
+    async begin() {
+      try {
+        await client.connect();
+        await client.query('BEGIN');
+        // One lock for the whole store - transactions are short, and it rules out deadlocks
+        await client.query("SELECT pg_advisory_xact_lock(hashtext('marketplace_state'))");
+      } catch (error) {
+        // end() only runs once begin() has succeeded, so the client is closed here
+        await client.end().catch(() => {});
+        throw error;
+      }
+    },
+    async read(section, keys) {
+      const { rows } = keys ?
+        await client.query('SELECT key, value FROM marketplace_state WHERE section = $1 AND key = ANY($2)', [section, keys]) :
+        await client.query('SELECT key, value FROM marketplace_state WHERE section = $1', [section]);
+      return rows.map(row => [row.key, row.value]);
+    },
+    async write(changes) {
+      for (const { section, key, value } of changes) {
+        if (value === undefined) {
+          await client.query('DELETE FROM marketplace_state WHERE section = $1 AND key = $2', [section, key]);
+        } else {
+          await client.query(
+            'INSERT INTO marketplace_state (section, key, value) VALUES ($1, $2, $3) ' +
+            'ON CONFLICT (section, key) DO UPDATE SET value = EXCLUDED.value, updated_at = now()',
+            [section, key, JSON.stringify(value)]
+          );
+        }
+      }
+      await client.query('COMMIT');
+    },
+    async end(failed) {
+      try {
+        if (failed) await client.query('ROLLBACK');
+      } finally {
+        await client.end();
+      }
+    }
+  };
+}
+
+function backendFor(env) {
+  const store = env.STATE_STORE || 'file';
+  if (store === 'file') return fileBackend(env.STATE_STORE_FILE);
+  if (store === 'postgres') return postgresBackend(env.STATE_STORE_URL);
+  throw new Error(`Unsupported STATE_STORE: ${store}`);
+}
+
+/**
+ * Run work against the state store under its lock
+ * work gets a state object shaped like the old static data. Records are read with
+ * await state.load(section, keys) - one key, a list of keys, or every record when keys is left out,
+ * and [] to only add records - and then used synchronously as state[section][key]. Changed, added
+ * and deleted records of loaded sections are saved when work resolves; nothing is saved when it throws.
+ * @param {object} env - The node's $env (STATE_STORE, STATE_STORE_FILE, STATE_STORE_URL)
+ * @param {function} work - async state => result
+ * @returns {Promise<*>} What work returned
+ */
+async function transaction(env, work) {
+  const backend = backendFor(env);
+  const state = {};
+  const loaded = {};
+
+  state.load = async (section, keys) => {
+    if (!MAPS.includes(section) && !LISTS.includes(section)) throw new Error(`Unknown state section: ${section}`);
+    const list = LISTS.includes(section);
+    const wanted = list ? [''] : keys === undefined ? null : [].concat(keys).filter(key => key !== undefined && key !== null).map(String);
+    const records = wanted && wanted.length === 0 ? [] : await backend.read(section, wanted);
+
+    loaded[section] = loaded[section] || {};
+    if (!list) state[section] = state[section] || {};
+    records.forEach(([key, value]) => {
+      // Records already loaded or added keep the copy the work may have changed
+      if (key in loaded[section] || (!list && key in state[section])) return;
+      loaded[section][key] = JSON.stringify(value);
+      if (list) state[section] = value;
+      else state[section][key] = value;
+    });
+    if (list && state[section] === undefined) state[section] = [];
+    return state[section];
+  };
+
+  await backend.begin();
+  let failed = true;
+  try {
+    const result = await work(state);
+
+    const changes = [];
+    Object.keys(loaded).forEach(section => {
+      const current = LISTS.includes(section) ? { '': state[section] } : state[section] || {};
+      Object.entries(current).forEach(([key, value]) => {
+        if (value !== undefined && JSON.stringify(value) !== loaded[section][key]) changes.push({ section, key, value });
+      });
+      Object.keys(loaded[section]).forEach(key => {
+        if (current[key] === undefined) changes.push({ section, key, value: undefined });
+      });
+    });
+    await backend.write(changes);
+    failed = false;
+    return result;
+  } finally {
+    await backend.end(failed);
+  }
+}
+
+module.exports = {
+  transaction
+};
@@ -0,0 +1,241 @@
+/**
+ * Outreach templates
+ * Sets are keyed by product category and locale: { default: { en: { sell, buy, reminder, final } } }.
+ * Load Templates merges and checks them for a campaign; Compose Messages and Sweep Reminders render them.
+ */
+
+const reply = {
+  en: 'Respond to your personal link (single use, do not share): {{reply_url}}\nOr simply reply to this email with your price, currency and terms.\nRequest ID: {{request_id}} (ref:{{email_ref}})',
+  de: 'Ihr persönlicher Antwortlink (einmalig gültig, bitte nicht weitergeben): {{reply_url}}\nOder antworten Sie einfach auf diese E-Mail mit Preis, Währung und Bedingungen.\nAnfrage-ID: {{request_id}} (ref:{{email_ref}})',
+  ja: '専用の返信リンク（1回限り・共有不可）: {{reply_url}}\nこのメールに価格・通貨・条件をご返信いただくことも可能です。\nリクエストID: {{request_id}} (ref:{{email_ref}})'
+};
+const signing = {
+  en: 'Required JSON format:\n{\n  "price": 0000,\n  "currency": "{{currency}}",\n  "terms": "Your terms"\n}\n\nSign the exact JSON body with HMAC-SHA256 using your signing key and send the hex digest in the X-Signature header.\nSigning key: {{signing_key}}',
+  de: 'Erforderliches JSON-Format:\n{\n  "price": 0000,\n  "currency": "{{currency}}",\n  "terms": "Ihre Bedingungen"\n}\n\nSignieren Sie den exakten JSON-Body mit HMAC-SHA256 und Ihrem Signaturschlüssel und senden Sie den Hex-Digest im X-Signature-Header.\nSignaturschlüssel: {{signing_key}}',
+  ja: 'JSON形式:\n{\n  "price": 0000,\n  "currency": "{{currency}}",\n  "terms": "取引条件"\n}\n\nJSON本文をそのまま署名キーでHMAC-SHA256署名し、16進ダイジェストをX-Signatureヘッダーで送信してください。\n署名キー: {{signing_key}}'
+};
+
+const builtInTemplates = {
+  default: {
+    en: {
+      nouns: { sell: 'offer', buy: 'quote' },
+      sell: {
+        subject: 'Quote Request: {{item}}',
+        text: `Hello {{reseller.name}},\n\nWe have a {{item}} available:\n\n{{product_details}}\n\n{{attachment_list}}\n\nPlease provide your best offer within {{timeout_minutes}} minutes (by {{deadline}}).\n\n${reply.en}\n\n${signing.en}\n\nThank you.`
+      },
+      buy: {
+        subject: 'Supply Request: {{item}}',
+        text: `Hello {{reseller.name}},\n\nWe are looking to buy a {{item}}:\n\n{{product_details}}\n\n{{attachment_list}}\n\nPlease quote your best price to supply it within {{timeout_minutes}} minutes (by {{deadline}}).\n\n${reply.en}\n\n${signing.en}\n\nThank you.`
+      },
+      reminder: {
+        subject: 'Reminder: {{original_subject}}',
+        text: `Hello {{reseller.name}},\n\nA quick reminder about our request for {{item}}. We have not received your {{offer_noun}} yet.\n\n{{minutes_left}} minutes left (closes {{deadline}}).\n\n${reply.en}\nSigning key: {{signing_key}}\n\nThank you.`
+      },
+      final: {
+        subject: 'Last call: {{original_subject}}',
+        text: `Hello {{reseller.name}},\n\nLast call for {{item}} - the request closes soon and we have not received your {{offer_noun}} yet.\n\n{{minutes_left}} minutes left (closes {{deadline}}).\n\n${reply.en}\nSigning key: {{signing_key}}\n\nThank you.`
+      }
+    },
+    de: {
+      nouns: { sell: 'Angebot', buy: 'Angebot' },
+      sell: {
+        subject: 'Angebotsanfrage: {{item}}',
+        text: `Guten Tag {{reseller.name}},\n\nwir bieten folgenden Artikel an: {{item}}\n\n{{product_details}}\n\n{{attachment_list}}\n\nBitte senden Sie uns Ihr bestes Angebot innerhalb von {{timeout_minutes}} Minuten (bis {{deadline}}).\n\n${reply.de}\n\n${signing.de}\n\nVielen Dank.`
+      },
+      buy: {
+        subject: 'Lieferanfrage: {{item}}',
+        text: `Guten Tag {{reseller.name}},\n\nwir möchten folgenden Artikel kaufen: {{item}}\n\n{{product_details}}\n\n{{attachment_list}}\n\nBitte nennen Sie uns innerhalb von {{timeout_minutes}} Minuten (bis {{deadline}}) Ihren besten Lieferpreis.\n\n${reply.de}\n\n${signing.de}\n\nVielen Dank.`
+      },
+      reminder: {
+        subject: 'Erinnerung: {{original_subject}}',
+        text: `Guten Tag {{reseller.name}},\n\nwir möchten an unsere Anfrage zu {{item}} erinnern. Ihr {{offer_noun}} liegt uns noch nicht vor.\n\nNoch {{minutes_left}} Minuten (Ende: {{deadline}}).\n\n${reply.de}\nSignaturschlüssel: {{signing_key}}\n\nVielen Dank.`
+      },
+      final: {
+        subject: 'Letzte Gelegenheit: {{original_subject}}',
+        text: `Guten Tag {{reseller.name}},\n\nunsere Anfrage zu {{item}} endet in Kürze und Ihr {{offer_noun}} liegt uns noch nicht vor.\n\nNoch {{minutes_left}} Minuten (Ende: {{deadline}}).\n\n${reply.de}\nSignaturschlüssel: {{signing_key}}\n\nVielen Dank.`
+      }
+    },
+    ja: {
+      nouns: { sell: 'オファー', buy: 'お見積り' },
+      sell: {
+        subject: '買取価格のご提示のお願い: {{item}}',
+        text: `{{reseller.name}} 様\n\n{{item}} の売却を予定しております。\n\n{{product_details}}\n\n{{attachment_list}}\n\n{{timeout_minutes}}分以内（{{deadline}}まで）に最良の買取価格をご提示ください。\n\n${reply.ja}\n\n${signing.ja}\n\nよろしくお願いいたします。`
+      },
+      buy: {
+        subject: 'お見積りのお願い: {{item}}',
+        text: `{{reseller.name}} 様\n\n{{item}} の購入を検討しております。\n\n{{product_details}}\n\n{{attachment_list}}\n\n{{timeout_minutes}}分以内（{{deadline}}まで）に最良の供給価格をお見積りください。\n\n${reply.ja}\n\n${signing.ja}\n\nよろしくお願いいたします。`
+      },
+      reminder: {
+        subject: 'リマインダー: {{original_subject}}',
+        text: `{{reseller.name}} 様\n\n{{item}} に関するご依頼について、まだ{{offer_noun}}を頂いておりません。\n\n締切まで残り{{minutes_left}}分です（{{deadline}}）。\n\n${reply.ja}\n署名キー: {{signing_key}}\n\nよろしくお願いいたします。`
+      },
+      final: {
+        subject: '最終のご案内: {{original_subject}}',
+        text: `{{reseller.name}} 様\n\n{{item}} に関するご依頼はまもなく締め切ります。まだ{{offer_noun}}を頂いておりません。\n\n締切まで残り{{minutes_left}}分です（{{deadline}}）。\n\n${reply.ja}\n署名キー: {{signing_key}}\n\nよろしくお願いいたします。`
+      }
+    }
+  }
+};
+
+const KINDS = ['sell', 'buy', 'reminder', 'final'];
+
+// Placeholders a template may use besides product.<attribute>
+const VARIABLES = [
+  'item', 'product_details', 'reseller.name', 'reseller.id', 'request_id', 'currency', 'deadline',
+  'deadline_iso', 'timeout_minutes', 'minutes_left', 'reply_url', 'signing_key', 'offer_noun', 'original_subject',
+  'attachment_list', 'email_ref'
+];
+
+// Lists may be empty - a product can have nothing beyond its display name
+const OPTIONAL = ['product_details', 'attachment_list'];
+
+/**
+ * Merge a set of overrides category by category, locale by locale and kind by kind
+ * @param {object} base - Template sets
+ * @param {object} overrides - Template sets to lay over them
+ * @returns {object} A new, merged copy
+ */
+function mergeTemplates(base, overrides) {
+  const merged = JSON.parse(JSON.stringify(base));
+  Object.entries(overrides || {}).forEach(([category, locales]) => {
+    Object.entries(locales || {}).forEach(([locale, set]) => {
+      const target = ((merged[category] = merged[category] || {})[locale] = merged[category][locale] || {});
+      Object.entries(set || {}).forEach(([kind, template]) => {
+        target[kind] = kind === 'nouns' || KINDS.includes(kind) ? { ...target[kind], ...template } : template;
+      });
+    });
+  });
+  return merged;
+}
+
+/**
+ * Check every template's parts and placeholders
+ * product.* must be an attribute of the campaign's product schema in the sets this campaign can use
+ * @param {object} templates - Merged template sets
+ * @param {object} schema - The campaign's product schema, with its category
+ * @returns {string[]} Errors, empty when every template is usable
+ */
+function checkTemplates(templates, schema) {
+  const errors = [];
+  Object.entries(templates).forEach(([category, locales]) => {
+    const usable = category === schema.category || category === 'default';
+    Object.entries(locales).forEach(([locale, set]) => {
+      Object.entries(set).forEach(([kind, template]) => {
+        const name = `${category}/${locale}/${kind}`;
+        if (kind === 'nouns') return;
+        if (!KINDS.includes(kind)) return errors.push(`Unknown template kind: ${name}`);
+        ['subject', 'text'].forEach(part => {
+          if (typeof template[part] !== 'string' || !template[part]) errors.push(`Template ${name} needs a ${part}`);
+        });
+        if (template.html !== undefined && typeof template.html !== 'string') errors.push(`Template ${name} has an invalid html variant`);
+        ['subject', 'text', 'html'].forEach(part => {
+          (String(template[part] || '').match(/\{\{\s*[^}]*\}\}/g) || []).forEach(placeholder => {
+            const variable = placeholder.slice(2, -2).trim();
+            const attribute = /^product\.(\w+)$/.exec(variable);
+            if (attribute ? usable && attribute[1] !== 'category' && !schema.fields[attribute[1]] : !VARIABLES.includes(variable)) {
+              errors.push(`Template ${name} uses unknown variable ${placeholder}`);
+            }
+          });
+        });
+      });
+    });
+  });
+  return errors;
+}
+
+/**
+ * Pick a template - the category set first, then the default set; the requested locale first, then English
+ * @param {object} templates - The campaign's template sets
+ * @param {string} category - Product category
+ * @param {string} locale - The reseller's locale
+ * @param {string} kind - sell, buy, reminder or final
+ * @returns {object|null} { name, locale, template, nouns }
+ */
+function pickTemplate(templates, category, locale, kind) {
+  for (const [c, l] of [[category, locale], [category, 'en'], ['default', locale], ['default', 'en']]) {
+    const set = templates?.[c]?.[l];
+    if (set?.[kind]) return { name: `${c}/${l}/${kind}`, locale: l, template: set[kind], nouns: set.nouns };
+  }
+  return null;
+}
+
+// Locale from the reseller's language column, else from its region
+const REGION_LOCALES = { US: 'en', UK: 'en', GB: 'en', EU: 'en', DE: 'de', AT: 'de', CH: 'de', JP: 'ja' };
+const localeOf = reseller => (reseller.language ? String(reseller.language).toLowerCase().split(/[-_]/)[0] : null) ||
+  REGION_LOCALES[String(reseller.region || '').toUpperCase()] || 'en';
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Fill a template's placeholders
+ * @param {string} text - Template part
+ * @param {object} vars - Placeholder values
+ * @param {Set} [missing] - Collects required placeholders that had no value
+ * @returns {string} The rendered text
+ */
+function render(text, vars, missing) {
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => {
+    if (missing && !OPTIONAL.includes(name) && (vars[name] === undefined || vars[name] === null || vars[name] === '')) missing.add(name);
+    return vars[name] === undefined || vars[name] === null ? '' : String(vars[name]);
+  }).replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Placeholder values shared by outreach and reminders
+ * offer_noun, attachment_list and original_subject depend on the message and are added by the caller
+ * @param {object} message - { item, details, product, resellerId, resellerName, requestId, config, deadline,
+ *   minutesLeft, replyUrl, emailRef, signingKey }
+ * @param {string} locale - Locale of the chosen template, for the deadline
+ * @returns {object} Placeholder values
+ */
+function messageVariables(message, locale) {
+  const vars = {
+    item: message.item,
+    product_details: message.details.map(([label, value]) => `• ${label}: ${value}`).join('\n'),
+    'reseller.name': message.resellerName,
+    'reseller.id': message.resellerId,
+    request_id: message.requestId,
+    currency: message.config.baseCurrency,
+    deadline: new Date(message.deadline).toLocaleString(locale, { timeZone: 'UTC', timeZoneName: 'short' }),
+    deadline_iso: message.deadline,
+    timeout_minutes: message.config.timeoutMinutes,
+    minutes_left: message.minutesLeft,
+    reply_url: message.replyUrl,
+    email_ref: message.emailRef,
+    signing_key: message.signingKey
+  };
+  Object.entries(message.product).forEach(([field, value]) => { vars[`product.${field}`] = value; });
+  return vars;
+}
+
+/**
+ * Placeholder values for html variants - escaped, with the product details as a list
+ * @param {object} vars - Placeholder values
+ * @param {Array} details - The product's [label, value] pairs
+ * @returns {object} Values for render
+ */
+function htmlVariables(vars, details) {
+  return {
+    ...Object.fromEntries(Object.entries(vars).map(([k, v]) => [k, v === undefined || v === null ? v : escapeHtml(v)])),
+    product_details: details.length === 0 ? '' : `<ul>${details.map(([label, value]) => `<li>${escapeHtml(label)}: ${escapeHtml(value)}</li>`).join('')}</ul>`
+  };
+}
+
+// Templates without an html variant get one derived from the rendered text
+const toHtml = text => text.split(/\n{2,}/)
+  .map(block => `<p>${escapeHtml(block).replace(/https?:\/\/\S+/g, url => `<a href="${url}">${url}</a>`).replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+module.exports = {
+  builtInTemplates,
+  mergeTemplates,
+  checkTemplates,
+  pickTemplate,
+  localeOf,
+  escapeHtml,
+  render,
+  messageVariables,
+  htmlVariables,
+  toHtml
+};
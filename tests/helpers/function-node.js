@@ -0,0 +1,116 @@
+/**
+ * Function node harness for N8N workflow tests
+ * Runs a function node's code from workflow.json against a minimal N8N sandbox
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workflowPath = path.join(__dirname, '../../workflow.json');
+const libPath = path.join(__dirname, '../../lib');
+let stateFiles = 0;
+
+function loadWorkflow() {
+  return JSON.parse(fs.readFileSync(workflowPath, 'utf8'));
+}
+
+function getFunctionCode(nodeName, workflow = loadWorkflow()) {
+  const node = workflow.nodes.find(
+    n => n.name === nodeName && n.type === 'n8n-nodes-base.function'
+  );
+  if (!node) {
+    throw new Error(`Function node not found: ${nodeName}`);
+  }
+  return node.parameters.functionCode;
+}
+
+/**
+ * Copy saved state into the test's object in place, so references the test holds stay current
+ * @param {object} target - The test's state object
+ * @param {object} source - The state as saved
+ */
+function syncState(target, source) {
+  Object.keys(target).forEach(key => {
+    if (!(key in source)) delete target[key];
+  });
+  Object.entries(source).forEach(([key, value]) => {
+    const current = target[key];
+    if (Array.isArray(value) && Array.isArray(current)) {
+      value.forEach((entry, i) => {
+        if (entry && typeof entry === 'object' && current[i] && typeof current[i] === 'object') syncState(current[i], entry);
+        else current[i] = entry;
+      });
+      current.length = value.length;
+    } else if (value && typeof value === 'object' && !Array.isArray(value) &&
+        current && typeof current === 'object' && !Array.isArray(current)) {
+      syncState(current, value);
+    } else {
+      target[key] = value;
+    }
+  });
+}
+
+/**
+ * Execute a function node
+ * State goes through the library's file store: staticData is written to a temporary
+ * STATE_STORE_FILE before the node runs and updated from it afterwards
+ * @param {string} nodeName - Node name as shown in the workflow
+ * @param {object} context - items, upstream node outputs, state, env and helpers
+ * @returns {Promise<Array>} The items returned by the node
+ */
+async function runFunctionNode(nodeName, context = {}) {
+  const {
+    items = [],
+    nodes = {},
+    staticData = {},
+    env = {},
+    parameter = {},
+    helpers = {}
+  } = context;
+
+  const inputItems = items.map(item => (item.json ? item : { json: item }));
+  const $node = new Proxy({}, {
+    get: (target, name) => {
+      if (!(name in nodes)) {
+        throw new Error(`Referenced node is unexecuted: ${String(name)}`);
+      }
+      const node = nodes[name];
+      return { json: node.json || {}, context: node.context || {} };
+    }
+  });
+  const $items = name => {
+    if (!(name in nodes)) {
+      throw new Error(`Referenced node is unexecuted: ${name}`);
+    }
+    return nodes[name].items || [{ json: nodes[name].json || {} }];
+  };
+
+  const stateFile = path.join(os.tmpdir(), `marketplace-state-${process.pid}-${stateFiles++}.json`);
+  fs.writeFileSync(stateFile, JSON.stringify(staticData));
+
+  const sandbox = {
+    items: inputItems,
+    $json: inputItems[0]?.json || {},
+    $node,
+    $items,
+    $env: { STATE_STORE: 'file', STATE_STORE_FILE: stateFile, ...env },
+    $parameter: parameter,
+    helpers,
+    require: name => require(name === 'disposable-marketplace-lib' ? libPath : name)
+  };
+
+  const fn = new Function(...Object.keys(sandbox), getFunctionCode(nodeName));
+  try {
+    return await fn(...Object.values(sandbox));
+  } finally {
+    syncState(staticData, JSON.parse(fs.readFileSync(stateFile, 'utf8')));
+    fs.rmSync(stateFile, { force: true });
+  }
+}
+
+module.exports = {
+  loadWorkflow,
+  getFunctionCode,
+  runFunctionNode
+};
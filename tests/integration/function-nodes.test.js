@@ -0,0 +1,2509 @@
+/**
+ * Function node tests for N8N Disposable Marketplace workflow
+ * Executes the inline function node code against a minimal N8N sandbox
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadWorkflow, runFunctionNode } = require('../helpers/function-node');
+
+describe('Function Node Behaviour', () => {
+  const env = { WEBHOOK_SECRET: 'test-webhook-secret' };
+  // Operator endpoints (campaign status and close) take WEBHOOK_SECRET in X-Webhook-Secret
+  const operator = { 'x-webhook-secret': env.WEBHOOK_SECRET };
+  const acme = {
+    id: 'ACME123', name: 'ACME Watches', email: 'sales@acme.com', region: 'US', trust_score: 8.5
+  };
+
+  const startInput = (overrides = {}) => ({
+    csvUrl: 'https://example.com/resellers.csv',
+    product: { brand: 'Rolex', model: 'Submariner', year: '2020', condition: 'Used' },
+    callbackBaseUrl: 'https://n8n.example.com',
+    ...overrides
+  });
+
+  async function startCampaign(staticData, overrides, context = {}) {
+    const [started] = await runFunctionNode('Validate Input', {
+      items: [startInput(overrides)],
+      staticData,
+      env: context.env || env
+    });
+    await runFunctionNode('Load Attachments', { items: [started], staticData, env, ...context });
+    await runFunctionNode('Load FX Rates', { items: [started], staticData, env, ...context });
+    await runFunctionNode('Load Templates', { items: [started], staticData, env, ...context });
+    await runFunctionNode('Load Channels', { items: [started], staticData, env, ...context });
+    return started.json;
+  }
+
+  async function selectResellers(staticData, campaign, rows) {
+    const selected = await runFunctionNode('Validate Resellers', {
+      items: rows,
+      nodes: { 'Validate Input': { json: campaign } },
+      staticData
+    });
+    return selected.map(r => r.json);
+  }
+
+  async function contactReseller(staticData, campaign, reseller = acme) {
+    const messages = await runFunctionNode('Compose Messages', {
+      items: [reseller],
+      nodes: { 'Validate Input': { json: campaign } },
+      staticData,
+      env
+    });
+    const [message] = await runFunctionNode('Rate Limit', { items: messages, staticData, env });
+    return message.json;
+  }
+
+  async function summaryQuery(staticData, query, context = {}) {
+    const [scope] = await runFunctionNode('Summary Query', { items: [{ query }], staticData, ...context });
+    return scope;
+  }
+
+  function sign(body, signingKey) {
+    return 'sha256=' + crypto.createHmac('sha256', signingKey).update(JSON.stringify(body)).digest('hex');
+  }
+
+  async function submitOffer(staticData, message, body, headers) {
+    const token = new URL(message.replyUrl).searchParams.get('token');
+    const [result] = await runFunctionNode('Score Offer', {
+      items: [{
+        query: { token },
+        headers: headers || { 'x-signature': sign(body, message.apiBody.signing_key) },
+        body
+      }],
+      staticData,
+      env
+    });
+    return result.json;
+  }
+
+  describe('Campaign Scoping', () => {
+    test('Validate Input should register a campaign that Compose Messages opens', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+
+      expect(campaign.requestId).toMatch(/^req_/);
+      expect(staticData.campaigns[campaign.requestId]).toMatchObject({
+        status: 'starting',
+        deadline: campaign.deadline
+      });
+
+      await contactReseller(staticData, campaign);
+      expect(staticData.campaigns[campaign.requestId].status).toBe('open');
+    });
+
+    test('Score Offer should tag offers with their request_id', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign);
+
+      const offer = await submitOffer(staticData, message, { price: 12000, currency: 'USD' });
+
+      expect(offer.request_id).toBe(campaign.requestId);
+    });
+
+    test('Score Offer should reject offers for closed campaigns', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign);
+
+      staticData.campaigns[campaign.requestId].status = 'closed';
+      const closed = await submitOffer(staticData, message, { price: 12000, currency: 'USD' });
+
+      expect(closed).toMatchObject({ rejected: true, status_code: 410 });
+      expect(closed.error).toContain('no longer accepting offers');
+    });
+
+    test('Rank Top 5 should only rank offers for the requested campaign', async () => {
+      const staticData = { campaigns: { req_a: { request_id: 'req_a', status: 'open' } } };
+      const now = new Date().toISOString();
+
+      const [summary] = await runFunctionNode('Rank Top 5', {
+        items: [
+          { timestamp: now, request_id: 'req_a', reseller_id: 'A1', price: 100, score: 100 },
+          { timestamp: now, request_id: 'req_b', reseller_id: 'B1', price: 900, score: 900 }
+        ],
+        nodes: { 'Summary Query': await summaryQuery(staticData, { requestId: 'req_a' }) },
+        staticData
+      });
+
+      expect(summary.json.request_id).toBe('req_a');
+      expect(summary.json.analytics.total_offers).toBe(1);
+      expect(summary.json.top_offers.map(o => o.reseller_id)).toEqual(['A1']);
+    });
+  });
+
+  describe('Campaign Registry', () => {
+    test('Compose Messages should record contacted resellers', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+
+      await contactReseller(staticData, campaign);
+
+      expect(staticData.campaigns[campaign.requestId].resellers.ACME123).toMatchObject({
+        name: 'ACME Watches',
+        trust_score: 8.5
+      });
+    });
+
+    test('Score Offer should expire campaigns past their deadline', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign);
+      staticData.campaigns[campaign.requestId].deadline = new Date(Date.now() - 1000).toISOString();
+
+      const result = await submitOffer(staticData, message, { price: 12000, currency: 'USD' });
+
+      expect(result.error).toContain('expired');
+      expect(staticData.campaigns[campaign.requestId].status).toBe('expired');
+    });
+
+    test('Close Campaign should close and then award a campaign', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      await contactReseller(staticData, campaign);
+      const params = { id: campaign.requestId };
+
+      const [closed] = await runFunctionNode('Close Campaign', { items: [{ headers: operator, params, body: {} }], staticData, env });
+      expect(closed.json).toMatchObject({ previous_status: 'open', status: 'closed', close_reason: 'manual' });
+
+      const [awarded] = await runFunctionNode('Close Campaign', {
+        items: [{ headers: operator, params, body: { award_reseller_id: 'ACME123' } }],
+        staticData,
+        env
+      });
+      expect(awarded.json).toMatchObject({ status: 'awarded', awarded_to: 'ACME123' });
+
+      await expect(runFunctionNode('Close Campaign', { items: [{ headers: operator, params, body: {} }], staticData, env }))
+        .rejects.toThrow('already awarded');
+    });
+
+    test('Get Campaign should report lifecycle state and contacted resellers', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      await contactReseller(staticData, campaign);
+
+      const [status] = await runFunctionNode('Get Campaign', {
+        items: [{ headers: operator, params: { id: campaign.requestId } }],
+        staticData,
+        env
+      });
+
+      expect(status.json).toMatchObject({
+        request_id: campaign.requestId,
+        status: 'open',
+        accepting_offers: true,
+        resellers_contacted: 1
+      });
+      await expect(runFunctionNode('Get Campaign', { items: [{ headers: operator, params: { id: 'req_missing' } }], staticData, env }))
+        .rejects.toThrow('Unknown campaign');
+    });
+
+    test('Campaign status and close should require the webhook secret', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      await contactReseller(staticData, campaign);
+      const params = { id: campaign.requestId };
+
+      await expect(runFunctionNode('Get Campaign', { items: [{ headers: {}, params }], staticData, env }))
+        .rejects.toThrow('Invalid X-Webhook-Secret');
+      await expect(runFunctionNode('Close Campaign', {
+        items: [{ headers: { 'x-webhook-secret': 'guessed' }, params, body: { award_reseller_id: 'ACME123' } }],
+        staticData,
+        env
+      })).rejects.toThrow('Invalid X-Webhook-Secret');
+
+      expect(staticData.campaigns[campaign.requestId]).toMatchObject({ status: 'open', awarded_to: null });
+    });
+
+    test('Get Campaign should leave contact details, email refs and the reserve out of the status', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, {
+        product: { brand: 'Rolex', model: 'Submariner', reservePrice: 9000, targetPrice: 12000 }
+      });
+      await contactReseller(staticData, campaign, { ...acme, phone: '+15550100', api_url: 'https://api.acme.com/quotes' });
+
+      const [status] = await runFunctionNode('Get Campaign', { items: [{ headers: operator, params: { id: campaign.requestId } }], staticData, env });
+
+      expect(status.json.resellers[0]).toMatchObject({ reseller_id: 'ACME123', name: 'ACME Watches', outreach_status: 'contacted' });
+      ['email', 'phone', 'api_url', 'webhook_url', 'email_ref', 'subject', 'reply_token']
+        .forEach(field => expect(status.json.resellers[0]).not.toHaveProperty(field));
+      expect(status.json.config).toMatchObject({ maxOffers: 100 });
+      expect(status.json.config).not.toHaveProperty('reservePrice');
+      expect(status.json.config).not.toHaveProperty('targetPrice');
+    });
+
+    test('Validate Input should reject timeouts and offer caps that are not positive whole numbers', async () => {
+      await expect(startCampaign({}, { config: { timeoutMinutes: 'abc' } }))
+        .rejects.toThrow('Invalid config.timeoutMinutes');
+      await expect(startCampaign({}, { config: { timeoutMinutes: -5 } }))
+        .rejects.toThrow('Invalid config.timeoutMinutes');
+      await expect(startCampaign({}, { config: { maxOffers: 'abc' } }))
+        .rejects.toThrow('Invalid config.maxOffers');
+      await expect(startCampaign({}, { config: { maxOffers: 2.5 } }))
+        .rejects.toThrow('Invalid config.maxOffers');
+
+      const capped = await startCampaign({}, { config: { timeoutMinutes: 1000, maxOffers: 1000 } });
+      expect(capped.config).toMatchObject({ timeoutMinutes: 240, maxOffers: 500 });
+    });
+  });
+
+  describe('Offer Signatures', () => {
+    test('Compose Messages should issue a signing key that Score Offer accepts', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign);
+      expect(message.emailText).toContain(message.apiBody.signing_key);
+
+      const offer = await submitOffer(staticData, message, { price: 12000, currency: 'USD' });
+
+      expect(offer.rejected).toBeUndefined();
+      expect(offer.price).toBe(12000);
+    });
+
+    test('Score Offer should reject missing or invalid signatures with 401', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign);
+      const body = { price: 12000, currency: 'USD' };
+
+      const unsigned = await submitOffer(staticData, message, body, {});
+      expect(unsigned).toMatchObject({ rejected: true, status_code: 401, error: 'Missing X-Signature header' });
+
+      const tampered = await submitOffer(staticData, message, { ...body, price: 99000 }, {
+        'x-signature': sign(body, message.apiBody.signing_key)
+      });
+      expect(tampered).toMatchObject({ rejected: true, status_code: 401, error: 'Invalid signature' });
+
+      const wrongKey = await submitOffer(staticData, message, body, { 'x-signature': sign(body, 'other-key') });
+      expect(wrongKey.status_code).toBe(401);
+    });
+  });
+
+  describe('Reply Links', () => {
+    test('Compose Messages should give each reseller a unique reply link', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+
+      const first = await contactReseller(staticData, campaign);
+      const second = await contactReseller(staticData, campaign, { ...acme, id: 'EURO456', name: 'Euro Timepieces' });
+
+      expect(first.apiBody.reply_url).toBe(first.replyUrl);
+      expect(first.replyUrl).toMatch(/\/webhook\/disposable-marketplace\/offer\?token=[0-9a-f]{48}$/);
+      expect(first.replyUrl).not.toBe(second.replyUrl);
+      expect(first.emailText).toContain(first.replyUrl);
+    });
+
+    test('Score Offer should take reseller identity from the reply token', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign);
+
+      const offer = await submitOffer(staticData, message, {
+        price: 12000,
+        currency: 'USD',
+        reseller_id: 'SOMEONE_ELSE',
+        reseller_name: 'Spoofed Name',
+        region: 'JP'
+      });
+
+      expect(offer).toMatchObject({
+        reseller_id: 'ACME123',
+        reseller_name: 'ACME Watches',
+        region: 'US',
+        trust_score: 8.5
+      });
+    });
+
+    test('Score Offer should reject missing, unknown and reused reply tokens', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign);
+      const body = { price: 12000, currency: 'USD' };
+
+      const [missing] = await runFunctionNode('Score Offer', { items: [{ query: {}, body }], staticData, env });
+      expect(missing.json).toMatchObject({ status_code: 401, error: 'Missing reply token' });
+
+      const [unknown] = await runFunctionNode('Score Offer', {
+        items: [{ query: { token: 'not-a-token' }, body }],
+        staticData,
+        env
+      });
+      expect(unknown.json).toMatchObject({ status_code: 401, error: 'Invalid reply token' });
+
+      await submitOffer(staticData, message, body);
+      const reused = await submitOffer(staticData, message, body);
+      expect(reused).toMatchObject({ rejected: true, status_code: 409 });
+    });
+
+    test('Score Offer should keep the reseller\'s current link on the campaign, hidden from the status', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign);
+      const reseller = staticData.campaigns[campaign.requestId].resellers.ACME123;
+      const issued = reseller.reply_token;
+
+      const offer = await submitOffer(staticData, message, { price: 12000, currency: 'USD' });
+      const [status] = await runFunctionNode('Get Campaign', { items: [{ headers: operator, params: { id: campaign.requestId } }], staticData, env });
+
+      expect(message.replyUrl).toContain(`token=${issued}`);
+      expect(offer.revision_url).toContain(`token=${reseller.reply_token}`);
+      expect(reseller.reply_token).not.toBe(issued);
+      expect(status.json.resellers[0]).not.toHaveProperty('reply_token');
+    });
+
+    test('Sweep Deadlines should drop the reply links and email refs of closed campaigns', async () => {
+      const staticData = {};
+      const closed = await startCampaign(staticData);
+      const open = await startCampaign(staticData);
+      const message = await contactReseller(staticData, closed);
+      await submitOffer(staticData, message, { price: 12000, currency: 'USD' });
+      await contactReseller(staticData, open);
+      await runFunctionNode('Close Campaign', { items: [{ headers: operator, params: { id: closed.requestId }, body: {} }], staticData, env });
+
+      await runFunctionNode('Sweep Deadlines', { items: [{}], staticData });
+      const late = await submitOffer(staticData, message, { price: 13000, currency: 'USD' });
+
+      expect(Object.values(staticData.replyTokens).map(link => link.request_id)).toEqual([open.requestId]);
+      expect(Object.values(staticData.emailRefs).map(ref => ref.request_id)).toEqual([open.requestId]);
+      expect(staticData.campaigns[closed.requestId].links_released_at).toEqual(expect.any(String));
+      expect(late).toMatchObject({ rejected: true, status_code: 401, error: 'Invalid reply token' });
+    });
+  });
+
+  describe('Server-side Trust and Timing', () => {
+    test('Score Offer should compute response time from the recorded send time', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign);
+      staticData.campaigns[campaign.requestId].resellers.ACME123.sent_at = new Date(Date.now() - 600 * 1000).toISOString();
+
+      const offer = await submitOffer(staticData, message, { price: 12000, currency: 'USD' });
+
+      expect(offer.response_time_s).toBeGreaterThanOrEqual(600);
+      expect(offer.response_time_s).toBeLessThan(610);
+    });
+
+    test('Score Offer should ignore claimed trust and timing but log the discrepancy', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const honest = await contactReseller(staticData, campaign);
+      const bragger = await contactReseller(staticData, campaign, { ...acme, id: 'EURO456', name: 'Euro Timepieces' });
+
+      const plain = await submitOffer(staticData, honest, { price: 12000, currency: 'USD' });
+      const claimed = await submitOffer(staticData, bragger, {
+        price: 12000, currency: 'USD', trust_score: 10, response_time: 1
+      });
+
+      expect(claimed.trust_score).toBe(8.5);
+      expect(claimed.score).toBe(plain.score);
+      expect(claimed.discrepancies).toContain('trust_score: claimed 10, recorded 8.5');
+      expect(plain.discrepancies).toBe('');
+    });
+  });
+
+  describe('FX Normalization', () => {
+    test('Load FX Rates should rebase the static table to the campaign base currency', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { config: { baseCurrency: 'EUR' } });
+
+      const { fx } = staticData.campaigns[campaign.requestId];
+      expect(fx).toMatchObject({ provider: 'static', base: 'EUR' });
+      expect(fx.rates.EUR).toBe(1);
+      expect(fx.rates.USD).toBeCloseTo(1 / 0.92, 6);
+    });
+
+    test('Load FX Rates should use the HTTP provider when configured', async () => {
+      const staticData = {};
+      const httpRequest = jest.fn().mockResolvedValue({
+        base: 'EUR', date: '2026-10-18', rates: { USD: 1.1, GBP: 0.85, CHF: 0.95, JPY: 160 }
+      });
+      const campaign = await startCampaign(staticData, {}, {
+        env: { ...env, FX_PROVIDER: 'http', FX_RATES_URL: 'https://fx.example.com/latest' },
+        helpers: { httpRequest }
+      });
+
+      expect(httpRequest).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://fx.example.com/latest' }));
+      const { fx } = staticData.campaigns[campaign.requestId];
+      expect(fx).toMatchObject({ provider: 'http', base: 'USD', as_of: '2026-10-18' });
+      expect(fx.rates.JPY).toBeCloseTo(160 / 1.1, 6);
+    });
+
+    test('Validate Input should reject unsupported base currencies', async () => {
+      await expect(startCampaign({}, { config: { baseCurrency: 'XYZ' } }))
+        .rejects.toThrow('Unsupported base currency: XYZ');
+    });
+
+    test('Score Offer should normalize prices before scoring', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const dollars = await contactReseller(staticData, campaign);
+      const yen = await contactReseller(staticData, campaign, { ...acme, id: 'JP789', name: 'Tokyo Time' });
+
+      const usdOffer = await submitOffer(staticData, dollars, { price: 10000, currency: 'USD' });
+      const jpyOffer = await submitOffer(staticData, yen, { price: 1500000, currency: 'JPY' });
+
+      expect(jpyOffer).toMatchObject({ price: 1500000, currency: 'JPY', base_currency: 'USD', price_base: 10000, fx_rate: 150 });
+      expect(jpyOffer.score).toBe(usdOffer.score);
+    });
+
+    test('Rank Top 5 should average and range prices in the base currency', async () => {
+      const staticData = { campaigns: { req_fx: { request_id: 'req_fx', status: 'open', config: { baseCurrency: 'USD' } } } };
+      const now = new Date().toISOString();
+
+      const [summary] = await runFunctionNode('Rank Top 5', {
+        items: [
+          { timestamp: now, request_id: 'req_fx', reseller_id: 'A1', price: 10000, currency: 'USD', base_currency: 'USD', price_base: 10000, score: 10000 },
+          { timestamp: now, request_id: 'req_fx', reseller_id: 'J1', price: 1800000, currency: 'JPY', base_currency: 'USD', price_base: 12000, score: 12000 }
+        ],
+        nodes: { 'Summary Query': await summaryQuery(staticData, { requestId: 'req_fx' }) },
+        staticData
+      });
+
+      expect(summary.json.analytics).toMatchObject({
+        base_currency: 'USD',
+        avg_price: 11000,
+        price_range: { min: 10000, max: 12000 }
+      });
+      expect(summary.json.top_offers[0].price_formatted).toBe('JPY 1,800,000 (≈ USD 12,000)');
+    });
+  });
+
+  describe('Scoring Profiles', () => {
+    test('Score Offer should keep the original model by default and explain it', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign);
+      staticData.campaigns[campaign.requestId].resellers.ACME123.sent_at = new Date(Date.now() - 540 * 1000).toISOString();
+
+      const offer = await submitOffer(staticData, message, {
+        price: 10000, currency: 'USD', terms: 'Wire transfer within 24h'
+      });
+      const breakdown = JSON.parse(offer.score_breakdown);
+
+      // 10000 + (8.5 - 5) * 100 - ((540 - 300) / 60)^1.5 * 50 + 50 + 30
+      expect(breakdown).toMatchObject({ price: 10000, trust: 350, terms: 80 });
+      expect(breakdown.time_penalty).toBeCloseTo(-400, -1);
+      expect(breakdown.matched_terms).toEqual(['wire/bank', '24/immediate']);
+      expect(offer.score).toBeCloseTo(10030, -1);
+    });
+
+    test('Score Offer should apply the per-campaign profile from config.scoring', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, {
+        config: {
+          scoring: {
+            weights: { trust: 0 },
+            terms: [{ keywords: ['escrow'], bonus: 500 }]
+          }
+        }
+      });
+      const message = await contactReseller(staticData, campaign);
+
+      const offer = await submitOffer(staticData, message, {
+        price: 10000, currency: 'USD', terms: 'Escrow, wire transfer'
+      });
+      const breakdown = JSON.parse(offer.score_breakdown);
+
+      expect(breakdown).toMatchObject({ trust: 0, terms: 500, matched_terms: ['escrow'] });
+      expect(offer.score).toBe(10500);
+    });
+
+    test('Validate Input should take default weights from the environment', async () => {
+      const [started] = await runFunctionNode('Validate Input', {
+        items: [startInput()],
+        staticData: {},
+        env: { ...env, PRICE_WEIGHT: '1.0', TRUST_WEIGHT: '0.5' }
+      });
+
+      expect(started.json.config.scoring.weights).toEqual({ price: 1, trust: 0.5, time: 1, terms: 1 });
+    });
+
+    test('Validate Input should reject malformed scoring profiles', async () => {
+      await expect(startCampaign({}, {
+        config: { scoring: { weights: { price: -1 }, timePenalty: { exponent: 'steep' }, terms: [{ bonus: 10 }] } }
+      })).rejects.toThrow(/weights must not be negative.*Invalid scoring.timePenalty curve.*Invalid scoring.terms/);
+    });
+  });
+
+  describe('Buy-side Mode', () => {
+    test('Compose Messages should ask for supply quotes in buy mode', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { mode: 'buy' });
+
+      const message = await contactReseller(staticData, campaign);
+
+      expect(message.subject).toBe('Supply Request: Rolex Submariner (2020)');
+      expect(message.emailText).toContain('We are looking to buy a Rolex Submariner (2020)');
+      expect(message.emailText).not.toContain('cash offer');
+      expect(message.apiBody).toMatchObject({ mode: 'buy', request_type: 'supply_quote' });
+    });
+
+    test('Score Offer should rank the lowest quote first in buy mode', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { mode: 'buy' });
+      const cheap = await contactReseller(staticData, campaign);
+      const pricey = await contactReseller(staticData, campaign, { ...acme, id: 'EURO456', name: 'Euro Timepieces' });
+
+      const low = await submitOffer(staticData, cheap, { price: 8000, currency: 'USD' });
+      const high = await submitOffer(staticData, pricey, { price: 9000, currency: 'USD' });
+
+      expect(low.mode).toBe('buy');
+      expect(JSON.parse(low.score_breakdown).price).toBe(-8000);
+      expect(low.score).toBeGreaterThan(high.score);
+    });
+
+    test('Score Offer should apply the mode price ceiling', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { mode: 'buy', config: { maxPrice: 5000 } });
+      const message = await contactReseller(staticData, campaign);
+
+      const result = await submitOffer(staticData, message, { price: 6000, currency: 'USD' });
+
+      expect(result).toMatchObject({ rejected: true, status_code: 400 });
+      expect(result.error).toContain('Price too high (max USD 5,000)');
+    });
+
+    test('Validate Input should reject unknown modes', async () => {
+      await expect(startCampaign({}, { mode: 'rent' })).rejects.toThrow('Invalid mode: rent');
+    });
+
+    test('Rank Top 5 should label buy-side summaries', async () => {
+      const staticData = { campaigns: { req_buy: { request_id: 'req_buy', status: 'open', config: { mode: 'buy', baseCurrency: 'USD' } } } };
+      const now = new Date().toISOString();
+
+      const [summary] = await runFunctionNode('Rank Top 5', {
+        items: [
+          { timestamp: now, request_id: 'req_buy', reseller_id: 'A1', price: 9000, score: -9000 },
+          { timestamp: now, request_id: 'req_buy', reseller_id: 'B1', price: 8000, score: -8000 }
+        ],
+        nodes: { 'Summary Query': await summaryQuery(staticData, { requestId: 'req_buy' }) },
+        staticData
+      });
+
+      expect(summary.json).toMatchObject({ mode: 'buy', labels: { title: 'Lowest Quotes', offer: 'quote' } });
+      expect(summary.json.analytics.lowest_quote).toBe(8000);
+      expect(summary.json.top_offers[0].reseller_id).toBe('B1');
+    });
+  });
+
+  describe('Reserve and Target Prices', () => {
+    const reserveProduct = { brand: 'Rolex', model: 'Submariner', year: '2020', reservePrice: 9000, targetPrice: 10000 };
+
+    test('Validate Input should keep reserve and target prices out of the outreach', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { product: reserveProduct });
+      const message = await contactReseller(staticData, campaign);
+
+      expect(campaign.config).toMatchObject({ reservePrice: 9000, targetPrice: 10000 });
+      expect(message.apiBody.product.reservePrice).toBeUndefined();
+      expect(message.emailText).not.toContain('9000');
+    });
+
+    test('Score Offer should store offers below the reserve with a flag', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { product: reserveProduct });
+      const low = await contactReseller(staticData, campaign);
+      const high = await contactReseller(staticData, campaign, { ...acme, id: 'EURO456', name: 'Euro Timepieces' });
+
+      const lowOffer = await submitOffer(staticData, low, { price: 8500, currency: 'USD' });
+      const highOffer = await submitOffer(staticData, high, { price: 9500, currency: 'USD' });
+
+      expect(lowOffer.rejected).toBeUndefined();
+      expect(lowOffer.reserve_status).toBe('below_reserve');
+      expect(highOffer.reserve_status).toBe('cleared');
+    });
+
+    test('Validate Input should reject invalid reserve prices', async () => {
+      await expect(startCampaign({}, { product: { brand: 'Rolex', reservePrice: -5 } }))
+        .rejects.toThrow('Invalid product.reservePrice');
+    });
+
+    test('Rank Top 5 should leave missed-reserve offers out and report the target', async () => {
+      const staticData = {
+        campaigns: {
+          req_res: { request_id: 'req_res', status: 'open', config: { mode: 'sell', baseCurrency: 'USD', reservePrice: 9000, targetPrice: 10000 } }
+        }
+      };
+      const now = new Date().toISOString();
+
+      const [summary] = await runFunctionNode('Rank Top 5', {
+        items: [
+          { timestamp: now, request_id: 'req_res', reseller_id: 'LOW', price: 8500, score: 20000, reserve_status: 'below_reserve' },
+          { timestamp: now, request_id: 'req_res', reseller_id: 'MID', price: 9500, score: 9500, reserve_status: 'cleared' },
+          { timestamp: now, request_id: 'req_res', reseller_id: 'TOP', price: 10500, score: 10500, reserve_status: 'cleared' }
+        ],
+        nodes: { 'Summary Query': await summaryQuery(staticData, { requestId: 'req_res' }) },
+        staticData
+      });
+
+      expect(summary.json.top_offers.map(o => o.reseller_id)).toEqual(['TOP', 'MID']);
+      expect(summary.json.analytics.total_offers).toBe(3);
+      expect(summary.json.analytics.reserve).toEqual({ reserve_price: 9000, cleared: 2, missed: 1 });
+      expect(summary.json.analytics.target).toEqual({ target_price: 10000, best_price: 10500, beat_by: 500, beat_by_pct: 5 });
+    });
+  });
+
+  describe('Offer Revisions', () => {
+    test('Score Offer should accept a revision through the rotated reply link', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign, acme);
+
+      const first = await submitOffer(staticData, message, { price: 12000, currency: 'USD' });
+      const second = await submitOffer(staticData, { ...message, replyUrl: first.revision_url }, { price: 12500, currency: 'USD' });
+
+      expect(first.revision).toBe(1);
+      expect(second.rejected).toBeUndefined();
+      expect(second.revision).toBe(2);
+      expect(second.supersedes).toBe(first.offer_id);
+      expect(second.revision_url).not.toBe(first.revision_url);
+      expect(staticData.campaigns[campaign.requestId].offers.ACME123.history).toHaveLength(2);
+    });
+
+    test('Score Offer should replay a retried POST with the same Idempotency-Key', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign, acme);
+      const body = { price: 12000, currency: 'USD' };
+      const headers = { 'x-signature': sign(body, message.apiBody.signing_key), 'idempotency-key': 'retry-1' };
+
+      const first = await submitOffer(staticData, message, body, headers);
+      const retry = await submitOffer(staticData, message, body, headers);
+
+      expect(first.revision).toBe(1);
+      expect(retry.respond_now).toBe(true);
+      expect(retry.status_code).toBe(200);
+      expect(retry.response).toMatchObject({ status: 'accepted', offer_id: first.offer_id, replayed: true });
+      expect(staticData.campaigns[campaign.requestId].offers.ACME123.revision).toBe(1);
+    });
+
+    test('Score Offer should not replay an Idempotency-Key for an unsigned request', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign, acme);
+      const body = { price: 12000, currency: 'USD' };
+      await submitOffer(staticData, message, body,
+        { 'x-signature': sign(body, message.apiBody.signing_key), 'idempotency-key': 'retry-1' });
+
+      const unsigned = await submitOffer(staticData, message, body, { 'idempotency-key': 'retry-1' });
+
+      expect(unsigned.status_code).toBe(401);
+      expect(unsigned.replayed).toBeUndefined();
+      expect(JSON.stringify(unsigned)).not.toContain('revision_url');
+    });
+
+    test('Rank Top 5 should only count the latest revision per reseller', async () => {
+      const staticData = {
+        campaigns: { req_rev: { request_id: 'req_rev', status: 'open', config: { mode: 'sell', baseCurrency: 'USD' } } }
+      };
+      const now = new Date().toISOString();
+
+      const [summary] = await runFunctionNode('Rank Top 5', {
+        items: [
+          { timestamp: now, request_id: 'req_rev', reseller_id: 'ACME123', revision: 1, price: 9000, score: 9000 },
+          { timestamp: now, request_id: 'req_rev', reseller_id: 'ACME123', revision: 2, price: 9800, score: 9800 },
+          { timestamp: now, request_id: 'req_rev', reseller_id: 'EURO456', revision: 1, price: 9500, score: 9500 }
+        ],
+        nodes: { 'Summary Query': await summaryQuery(staticData, { requestId: 'req_rev' }) },
+        staticData
+      });
+
+      expect(summary.json.analytics.total_offers).toBe(2);
+      expect(summary.json.analytics.superseded_revisions).toBe(1);
+      expect(summary.json.top_offers.map(o => [o.reseller_id, o.price])).toEqual([['ACME123', 9800], ['EURO456', 9500]]);
+    });
+  });
+
+  describe('Offer Storage', () => {
+    let storeFile;
+
+    beforeEach(() => {
+      storeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'offers-')), 'offers.jsonl');
+    });
+
+    afterEach(() => {
+      fs.rmSync(path.dirname(storeFile), { recursive: true, force: true });
+    });
+
+    test('file store should round-trip accepted offers for one campaign', async () => {
+      const fileEnv = { ...env, OFFER_STORE: 'file', OFFER_STORE_FILE: storeFile };
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const other = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign, acme);
+      const otherMessage = await contactReseller(staticData, other, acme);
+
+      const offer = await submitOffer(staticData, message, { price: 12000, currency: 'USD' });
+      const otherOffer = await submitOffer(staticData, otherMessage, { price: 15000, currency: 'USD' });
+      await runFunctionNode('Store Offer (File)', { items: [offer, otherOffer], env: fileEnv });
+
+      const stored = fs.readFileSync(storeFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(stored).toHaveLength(2);
+      expect(stored[0]).not.toHaveProperty('revision_url');
+
+      const scope = await summaryQuery(staticData, { requestId: campaign.requestId }, { env: fileEnv });
+      const rows = await runFunctionNode('Read Offers (File)', { items: [scope.json], env: fileEnv });
+
+      expect(scope.json.store).toBe('file');
+      expect(rows.map(r => r.json.offer_id)).toEqual([offer.offer_id]);
+    });
+
+    test('file store should apply the time window when reading', async () => {
+      const fileEnv = { ...env, OFFER_STORE: 'file', OFFER_STORE_FILE: storeFile };
+      const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+      fs.writeFileSync(storeFile, [
+        { timestamp: old, request_id: 'req_old', mode: 'sell', reseller_id: 'OLD', price: 100 },
+        { timestamp: new Date().toISOString(), request_id: 'req_new', mode: 'sell', reseller_id: 'NEW', price: 200 },
+        { timestamp: new Date().toISOString(), request_id: 'req_buy', mode: 'buy', reseller_id: 'BUY', price: 300 }
+      ].map(row => JSON.stringify(row)).join('\n') + '\n');
+
+      const scope = await summaryQuery({}, { timeFilter: '1h' }, { env: fileEnv });
+      const rows = await runFunctionNode('Read Offers (File)', { items: [scope.json], env: fileEnv });
+
+      expect(rows.map(r => r.json.reseller_id)).toEqual(['NEW']);
+    });
+
+    test('Summary Query should reject unknown campaigns and stores', async () => {
+      await expect(summaryQuery({}, { requestId: 'req_missing' })).rejects.toThrow('Unknown requestId');
+      await expect(summaryQuery({}, {}, { env: { OFFER_STORE: 'mongo' } })).rejects.toThrow('Unsupported OFFER_STORE');
+    });
+
+    test('Postgres insert should get values its column types accept', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactReseller(staticData, campaign, acme);
+      const offer = await submitOffer(staticData, message, { price: 12000, currency: 'USD' });
+
+      const { nodes } = loadWorkflow();
+      const insert = nodes.find(n => n.name === 'Store Offer (Postgres)');
+      const readme = fs.readFileSync(path.join(__dirname, '../../README.md'), 'utf8');
+      const columnTypes = Object.fromEntries(/CREATE TABLE offers \(([^;]+)\);/.exec(readme)[1]
+        .split(',\n').map(line => line.trim().split(/\s+/)));
+      const accepts = {
+        timestamptz: value => !isNaN(Date.parse(value)),
+        text: value => value === null || typeof value === 'string',
+        integer: value => value === null || Number.isInteger(value),
+        numeric: value => value === null || typeof value === 'number',
+        boolean: value => value === null || typeof value === 'boolean'
+      };
+
+      const rejected = insert.parameters.columns.split(',')
+        .filter(column => !accepts[columnTypes[column]](offer[column]))
+        .map(column => [column, columnTypes[column], offer[column]]);
+      expect(offer.source).toBe('webhook');
+      expect(offer.parse_confidence).toBeNull();
+      expect(rejected).toEqual([]);
+    });
+
+    test('Postgres read should filter by campaign and time in SQL', () => {
+      const { nodes } = loadWorkflow();
+      const read = nodes.find(n => n.name === 'Read Offers (Postgres)');
+
+      expect(read.parameters.query).toMatch(/WHERE .*request_id = \$1.*timestamp >= \$3/);
+      expect(read.parameters.additionalFields.queryParams).toBe('request_id,mode,since');
+    });
+  });
+
+  describe('Reseller Directory', () => {
+    test('Validate Resellers should merge rows into the directory with stable ids', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      await selectResellers(staticData, campaign, [acme, { name: 'No Id Watches', email: 'Hello@NoId.com' }]);
+
+      const [updated, noId] = await selectResellers(staticData, campaign, [
+        { ...acme, email: 'new@acme.com' },
+        { name: 'No Id Watches', email: 'hello@noid.com', region: 'EU' }
+      ]);
+
+      expect(updated.contact_changes).toEqual(['email']);
+      expect(staticData.resellerDirectory.ACME123.email).toBe('new@acme.com');
+      expect(noId.id).toBe('Hello@NoId.com');
+      expect(Object.keys(staticData.resellerDirectory)).toHaveLength(2);
+    });
+
+    test('Validate Resellers should compute trust from the track record', async () => {
+      const history = (contacted, responded, won, reneged, times) =>
+        ({ contacted, responded, won, reneged, response_times: times });
+      const staticData = {
+        resellerDirectory: {
+          ACME123: { id: 'ACME123', history: history(10, 10, 5, 0, [120, 200, 300]) },
+          SLOW: { id: 'SLOW', history: history(10, 2, 0, 0, [3600]) },
+          FRESH: { id: 'FRESH', history: history(2, 2, 1, 1, [60]) }
+        }
+      };
+
+      const campaign = await startCampaign(staticData);
+
+      const results = await selectResellers(staticData, campaign, [
+        acme,
+        { id: 'SLOW', name: 'Slow Traders', email: 'slow@example.com', trust_score: 9 },
+        { id: 'FRESH', name: 'Fresh Traders', email: 'fresh@example.com', trust_score: 5 }
+      ]);
+      const [reliable, slow, fresh] = ['ACME123', 'SLOW', 'FRESH'].map(id => results.find(r => r.id === id));
+
+      expect(reliable.trust_score).toBe(9);
+      expect(reliable.trust_source).toBe('history');
+      expect(reliable.track_record.median_response_time_s).toBe(200);
+      expect(slow.trust_score).toBe(3.8);
+      expect(fresh.trust_source).toBe('blended');
+      expect(fresh.track_record.renege_rate).toBe(1);
+    });
+
+    test('campaign events should update the track record', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      await selectResellers(staticData, campaign, [acme]);
+      const message = await contactReseller(staticData, campaign, acme);
+      const offer = await submitOffer(staticData, message, { price: 12000, currency: 'USD' });
+      await submitOffer(staticData, { ...message, replyUrl: offer.revision_url }, { price: 12500, currency: 'USD' });
+
+      const params = { id: campaign.requestId };
+      await runFunctionNode('Close Campaign', { items: [{ headers: operator, params, body: { award_reseller_id: 'ACME123' } }], staticData, env });
+      const [reneged] = await runFunctionNode('Close Campaign', { items: [{ headers: operator, params, body: { reneged: true } }], staticData, env });
+
+      expect(reneged.json.status).toBe('closed');
+      expect(reneged.json.reneged_by).toBe('ACME123');
+      expect(staticData.resellerDirectory.ACME123.history).toMatchObject({
+        contacted: 1, responded: 1, won: 1, reneged: 1
+      });
+      await expect(runFunctionNode('Close Campaign', {
+        items: [{ headers: operator, params, body: { award_reseller_id: 'ACME123' } }],
+        staticData,
+        env
+      })).rejects.toThrow('already reneged');
+    });
+  });
+
+  describe('Reseller Targeting', () => {
+    const rows = [
+      { id: 'W1', name: 'Watch House', email: 'w1@example.com', region: 'EU', specialty: 'Watches', trust_score: 9 },
+      { id: 'W2', name: 'US Watches', email: 'w2@example.com', region: 'US', specialty: 'Watches', trust_score: 8 },
+      { id: 'C1', name: 'Classic Cars', email: 'c1@example.com', region: 'EU', specialty: 'Cars; Classics', trust_score: 6 },
+      { id: 'G1', name: 'Everything Ltd', email: 'g1@example.com', region: 'EU', trust_score: 9.5 },
+      { id: 'C2', name: 'Shaky Motors', email: 'c2@example.com', region: 'EU', specialty: 'Cars', trust_score: 3 }
+    ];
+
+    test('Validate Resellers should filter by region, specialty and trust', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, {
+        targeting: { regions: ['eu'], specialties: ['Cars'], minTrust: 5 }
+      });
+
+      const selected = await selectResellers(staticData, campaign, rows);
+
+      expect(selected.map(r => r.id)).toEqual(['C1', 'G1']);
+      expect(selected[0].targeting).toEqual({
+        candidates: 5,
+        selected: 2,
+        excluded: 3,
+        excluded_by: { region: 1, specialty: 1, min_trust: 1, max_resellers: 0 }
+      });
+      expect(staticData.campaigns[campaign.requestId].targeting.selected).toBe(2);
+    });
+
+    test('Validate Resellers should target the product category and cap the list', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, {
+        product: { brand: 'Omega', model: 'Speedmaster', category: 'watches' },
+        targeting: { maxResellers: 2 }
+      });
+
+      const selected = await selectResellers(staticData, campaign, rows);
+
+      expect(selected.map(r => r.id)).toEqual(['W1', 'W2']);
+      expect(selected[0].targeting.excluded_by).toEqual({ region: 0, specialty: 2, min_trust: 0, max_resellers: 1 });
+    });
+
+    test('Validate Input should reject invalid targeting rules', async () => {
+      await expect(startCampaign({}, { targeting: { regions: 'EU', minTrust: 11, maxResellers: 0 } }))
+        .rejects.toThrow('Invalid targeting.regions: expected [string], Invalid targeting.minTrust (expected 0-10), Invalid targeting.maxResellers (expected 1-500)');
+    });
+
+    test('Validate Resellers should fail when nobody matches', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { targeting: { regions: ['APAC'] } });
+
+      await expect(selectResellers(staticData, campaign, rows)).rejects.toThrow('No resellers match the targeting rules');
+    });
+
+    test('Compose Messages should keep the targeting report out of the outreach', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const [reseller] = await selectResellers(staticData, campaign, [acme]);
+
+      const message = await contactReseller(staticData, campaign, reseller);
+
+      expect(message).not.toHaveProperty('targeting');
+      expect(message.apiBody).not.toHaveProperty('targeting');
+    });
+  });
+
+  describe('Offer Capacity', () => {
+    const euro = { ...acme, id: 'EURO456', name: 'Euro Timepieces' };
+    const swiss = { ...acme, id: 'SWISS789', name: 'Swiss Dealers' };
+
+    test('Score Offer should close the campaign when maxOffers is reached', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { config: { maxOffers: 2 } });
+      const first = await contactReseller(staticData, campaign, acme);
+      const second = await contactReseller(staticData, campaign, euro);
+
+      const offer = await submitOffer(staticData, first, { price: 12000, currency: 'USD' });
+      const revised = await submitOffer(staticData, { ...first, replyUrl: offer.revision_url }, { price: 12100, currency: 'USD' });
+      const filling = await submitOffer(staticData, second, { price: 11000, currency: 'USD' });
+
+      expect(revised.campaign_full).toBe(false);
+      expect(filling.campaign_full).toBe(true);
+      expect(filling.offers_received).toBe(2);
+      expect(staticData.campaigns[campaign.requestId]).toMatchObject({ status: 'closed', close_reason: 'max_offers', results_dispatch_started_at: expect.any(String) });
+    });
+
+    test('Score Offer should answer later offers with campaign full', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { config: { maxOffers: 1 } });
+      const first = await contactReseller(staticData, campaign, acme);
+      const late = await contactReseller(staticData, campaign, swiss);
+
+      await submitOffer(staticData, first, { price: 12000, currency: 'USD' });
+      const rejected = await submitOffer(staticData, late, { price: 13000, currency: 'USD' });
+
+      expect(rejected.status_code).toBe(410);
+      expect(rejected.error).toMatch(/is full: 1 offers received/);
+    });
+
+    test('Summary Query should scope the final summary to the filled campaign', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { config: { maxOffers: 1 } });
+      const message = await contactReseller(staticData, campaign, acme);
+      const offer = await submitOffer(staticData, message, { price: 12000, currency: 'USD' });
+
+      const [viaIntake] = await runFunctionNode('Summary Query', { items: [offer], staticData });
+      const [summary] = await runFunctionNode('Rank Top 5', {
+        items: [offer],
+        nodes: { 'Summary Query': viaIntake },
+        staticData
+      });
+
+      expect(viaIntake.json.request_id).toBe(campaign.requestId);
+      expect(viaIntake.json.time_filter).toBe('all');
+      expect(summary.json.final).toBe(true);
+      expect(summary.json.top_offers).toHaveLength(1);
+    });
+  });
+
+  describe('Deadline Closer', () => {
+    const past = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+    test('Sweep Deadlines should expire campaigns and dispatch each one once', async () => {
+      const staticData = {
+        campaigns: {
+          req_late: { request_id: 'req_late', status: 'open', deadline: past(5), config: {} },
+          req_later: { request_id: 'req_later', status: 'open', deadline: past(1), config: {} },
+          req_live: { request_id: 'req_live', status: 'open', deadline: new Date(Date.now() + 60000).toISOString(), config: {} },
+          req_manual: { request_id: 'req_manual', status: 'closed', deadline: past(10), config: {} }
+        }
+      };
+
+      const first = await runFunctionNode('Sweep Deadlines', { items: [{}], staticData });
+      const second = await runFunctionNode('Sweep Deadlines', { items: [{}], staticData });
+      const third = await runFunctionNode('Sweep Deadlines', { items: [{}], staticData });
+
+      expect(first.map(i => i.json.request_id)).toEqual(['req_late']);
+      expect(second.map(i => i.json.request_id)).toEqual(['req_later']);
+      expect(third).toEqual([]);
+      expect(staticData.campaigns.req_later).toMatchObject({ status: 'expired', close_reason: 'deadline' });
+      expect(staticData.campaigns.req_live.status).toBe('open');
+      expect(staticData.campaigns.req_manual.results_dispatch_started_at).toBeUndefined();
+    });
+
+    test('Sweep Deadlines should mark failed starts without dispatching results', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      await expect(runFunctionNode('Compose Messages', {
+        items: [{ ...acme, email: '' }],
+        nodes: { 'Validate Input': { json: campaign } },
+        staticData,
+        env
+      })).rejects.toThrow('No reseller can be reached');
+      const starting = { ...staticData.campaigns[campaign.requestId] };
+      staticData.campaigns[campaign.requestId].deadline = past(1);
+
+      const due = await runFunctionNode('Sweep Deadlines', { items: [{}], staticData });
+
+      expect(starting.status).toBe('starting');
+      expect(due).toEqual([]);
+      expect(staticData.campaigns[campaign.requestId]).toMatchObject({ status: 'failed', close_reason: 'start_failed' });
+      await expect(runFunctionNode('Close Campaign', {
+        items: [{ headers: operator, params: { id: campaign.requestId }, body: { award_reseller_id: 'ACME123' } }],
+        staticData,
+        env
+      })).rejects.toThrow('has not started');
+    });
+
+    test('Sweep Deadlines should retry a dispatch that Results Sent never confirmed', async () => {
+      const staticData = {
+        campaigns: {
+          req_failed: { request_id: 'req_failed', status: 'expired', deadline: past(30), results_dispatch_started_at: past(11), config: {} },
+          req_sending: { request_id: 'req_sending', status: 'closed', deadline: past(20), results_dispatch_started_at: past(2), config: {} },
+          req_full: { request_id: 'req_full', status: 'closed', deadline: past(15), results_dispatch_started_at: past(12), config: {} }
+        }
+      };
+
+      const first = await runFunctionNode('Sweep Deadlines', { items: [{}], staticData });
+      const summary = { json: { request_id: 'req_failed', dispatch: { email: 'owner@example.com', webhook_url: null } } };
+      const [sent] = await runFunctionNode('Results Sent', { items: [{}], nodes: { 'Rank Top 5': summary }, staticData });
+      const second = await runFunctionNode('Sweep Deadlines', { items: [{}], staticData });
+      const third = await runFunctionNode('Sweep Deadlines', { items: [{}], staticData });
+
+      expect(first.map(i => i.json.request_id)).toEqual(['req_failed']);
+      expect(sent.json.results_dispatched_at).toEqual(expect.any(String));
+      expect(second.map(i => i.json.request_id)).toEqual(['req_full']);
+      expect(third).toEqual([]);
+      expect(staticData.campaigns.req_sending.results_dispatched_at).toBeUndefined();
+    });
+
+    test('Results Sent should run only after every results send and skip summary requests', async () => {
+      const { connections } = loadWorkflow();
+      const staticData = { campaigns: { req_viewed: { request_id: 'req_viewed', status: 'open', config: {} } } };
+      const viewed = { json: { request_id: 'req_viewed', dispatch: null } };
+
+      expect(connections['Rank Top 5'].main[0].map(c => c.node)).not.toContain('Post Results?');
+      expect(connections['Email Results?'].main.map(output => output[0].node)).toEqual(['Email Results', 'Post Results?']);
+      expect(connections['Email Results'].main[0][0].node).toBe('Post Results?');
+      expect(connections['Post Results?'].main.map(output => output[0].node)).toEqual(['Results Webhook', 'Results Sent']);
+      expect(connections['Results Webhook'].main[0][0].node).toBe('Results Sent');
+      expect(await runFunctionNode('Results Sent', { items: [{}], nodes: { 'Rank Top 5': viewed }, staticData })).toEqual([]);
+      expect(staticData.campaigns.req_viewed.results_dispatched_at).toBeUndefined();
+    });
+
+    test('Rank Top 5 should address final results to the campaign targets', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, {
+        resultsWebhookUrl: 'https://partner.example.com/results',
+        config: { resultsEmail: 'owner@example.com' }
+      });
+      await contactReseller(staticData, campaign);
+      staticData.campaigns[campaign.requestId].deadline = past(1);
+
+      const [due] = await runFunctionNode('Sweep Deadlines', { items: [{}], staticData });
+      const [scope] = await runFunctionNode('Summary Query', { items: [due], staticData });
+      const [summary] = await runFunctionNode('Rank Top 5', { items: [], nodes: { 'Summary Query': scope }, staticData });
+      const requested = await summaryQuery(staticData, { requestId: campaign.requestId });
+      const [viewed] = await runFunctionNode('Rank Top 5', { items: [], nodes: { 'Summary Query': requested }, staticData });
+
+      expect(summary.json.final).toBe(true);
+      expect(summary.json.dispatch).toEqual({ email: 'owner@example.com', webhook_url: 'https://partner.example.com/results' });
+      expect(viewed.json.dispatch).toBeNull();
+    });
+
+    test('Summary requests should be answered by Return Summary, not by the dispatch branches', () => {
+      const { nodes, connections } = loadWorkflow();
+      const summary = nodes.find(n => n.name === 'Summary');
+      const respond = nodes.find(n => n.name === 'Return Summary');
+
+      expect(summary.parameters.responseMode).toBe('responseNode');
+      expect(respond.type).toBe('n8n-nodes-base.respondToWebhook');
+      expect(respond.parameters.respondWith).toBe('firstIncomingItem');
+      expect(connections['Rank Top 5'].main[0].map(c => c.node)).toContain('Summary Request?');
+      expect(connections['Summary Request?'].main.map(output => output.map(c => c.node))).toEqual([['Return Summary'], []]);
+    });
+
+    test('Validate Input should reject an invalid results webhook', async () => {
+      await expect(startCampaign({}, { resultsWebhookUrl: 'ftp://example.com' }))
+        .rejects.toThrow('Invalid resultsWebhookUrl');
+    });
+  });
+
+  describe('Reminders', () => {
+    const euro = { ...acme, id: 'EURO456', name: 'Euro Timepieces', email: 'info@euro.com' };
+
+    // Shift the campaign window so the given fraction of it has elapsed
+    function elapse(campaign, fraction, minutes = 60) {
+      const start = Date.now() - fraction * minutes * 60 * 1000;
+      campaign.created_at = new Date(start).toISOString();
+      campaign.deadline = new Date(start + minutes * 60 * 1000).toISOString();
+    }
+
+    test('Sweep Reminders should chase only resellers without an offer', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const acmeMessage = await contactReseller(staticData, campaign, acme);
+      const euroMessage = await contactReseller(staticData, campaign, euro);
+      await submitOffer(staticData, acmeMessage, { price: 12000, currency: 'USD' });
+      const record = staticData.campaigns[campaign.requestId];
+
+      elapse(record, 0.3);
+      const early = await runFunctionNode('Sweep Reminders', { items: [{}], staticData, env });
+      elapse(record, 0.55);
+      const [reminder] = await runFunctionNode('Sweep Reminders', { items: [{}], staticData, env });
+      const repeat = await runFunctionNode('Sweep Reminders', { items: [{}], staticData, env });
+
+      expect(early).toEqual([]);
+      expect(repeat).toEqual([]);
+      expect(reminder.json.id).toBe('EURO456');
+      expect(reminder.json.round).toBe(1);
+      expect(reminder.json.subject).toBe('Reminder: Quote Request: Rolex Submariner (2020)');
+      expect(reminder.json.emailText).toMatch(/2[78] minutes left/);
+      expect(reminder.json.apiBody.reply_url).toBe(euroMessage.replyUrl);
+      expect(reminder.json.apiBody.signing_key).toBe(euroMessage.apiBody.signing_key);
+    });
+
+    test('Sweep Reminders should send the final round with its own template', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { mode: 'buy' });
+      await contactReseller(staticData, campaign, euro);
+      const record = staticData.campaigns[campaign.requestId];
+
+      elapse(record, 0.95);
+      const [reminder] = await runFunctionNode('Sweep Reminders', { items: [{}], staticData, env });
+
+      expect(reminder.json.round).toBe(2);
+      expect(reminder.json.subject).toBe('Last call: Supply Request: Rolex Submariner (2020)');
+      expect(reminder.json.emailText).toMatch(/your quote yet/);
+      expect(record.reminder_rounds_sent).toBe(2);
+    });
+
+    test('Get Campaign should report each reseller\'s outreach status', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const acmeMessage = await contactReseller(staticData, campaign, acme);
+      await contactReseller(staticData, campaign, euro);
+      await contactReseller(staticData, campaign, { ...acme, id: 'SWISS789', name: 'Swiss Dealers' });
+      await submitOffer(staticData, acmeMessage, { price: 12000, currency: 'USD' });
+      elapse(staticData.campaigns[campaign.requestId], 0.6);
+      await runFunctionNode('Sweep Reminders', { items: [{}], staticData, env });
+      await contactReseller(staticData, campaign, { ...acme, id: 'LATE1', name: 'Late Addition' });
+
+      const [status] = await runFunctionNode('Get Campaign', { items: [{ headers: operator, params: { id: campaign.requestId } }], staticData, env });
+      const byId = Object.fromEntries(status.json.resellers.map(r => [r.reseller_id, r.outreach_status]));
+
+      expect(byId).toEqual({ ACME123: 'responded', EURO456: 'reminded', SWISS789: 'reminded', LATE1: 'contacted' });
+      expect(status.json.outreach).toEqual({ queued: 0, contacted: 1, reminded: 2, responded: 1, by_channel: { email: 4 } });
+    });
+
+    test('Validate Input should reject unordered reminder rounds', async () => {
+      await expect(startCampaign({}, { config: { reminders: [0.9, 0.5] } }))
+        .rejects.toThrow('Invalid config.reminders');
+    });
+
+    test('Reminder sends should keep going on failure so the clock tick finishes', () => {
+      const { nodes } = loadWorkflow();
+
+      ['Send Reminder API', 'Send Reminder Email', 'Send Reminder (Channel)'].forEach(name => {
+        expect(nodes.find(n => n.name === name).continueOnFail).toBe(true);
+      });
+    });
+  });
+
+  describe('Outreach Templates', () => {
+    const hans = { ...acme, id: 'HANS789', name: 'Hans Uhren', email: 'hans@uhren.de', region: 'EU', language: 'de-DE' };
+    const tokyo = { ...acme, id: 'TOKYO42', name: 'Tokyo Time', email: 'info@tokyo-time.jp', region: 'JP' };
+
+    test('Compose Messages should pick the locale from the language column, then the region', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+
+      const english = await contactReseller(staticData, campaign, acme);
+      const german = await contactReseller(staticData, campaign, hans);
+      const japanese = await contactReseller(staticData, campaign, tokyo);
+
+      expect(english).toMatchObject({ locale: 'en', template: 'default/en/sell', subject: 'Quote Request: Rolex Submariner (2020)' });
+      expect(german).toMatchObject({ locale: 'de', template: 'default/de/sell', subject: 'Angebotsanfrage: Rolex Submariner (2020)' });
+      expect(german.emailText).toContain('Guten Tag Hans Uhren');
+      expect(japanese).toMatchObject({ locale: 'ja', template: 'default/ja/sell' });
+      expect(japanese.emailText).toContain(japanese.replyUrl);
+      expect(staticData.campaigns[campaign.requestId].resellers.HANS789.locale).toBe('de');
+    });
+
+    test('Compose Messages should prefer the product category set and fall back to the default', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, {
+        product: { brand: 'Rolex', model: 'Submariner', year: '2020', category: 'Watches' },
+        templates: {
+          watches: { en: { sell: { subject: 'Watch wanted: {{product.brand}} {{product.model}}', text: 'Hi {{reseller.name}}, reply at {{reply_url}}' } } }
+        }
+      });
+
+      const english = await contactReseller(staticData, campaign, acme);
+      const german = await contactReseller(staticData, campaign, hans);
+
+      expect(english).toMatchObject({ template: 'watches/en/sell', subject: 'Watch wanted: Rolex Submariner' });
+      expect(german.template).toBe('watches/en/sell');
+    });
+
+    test('Compose Messages should derive an escaped HTML variant when none is given', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+
+      const message = await contactReseller(staticData, campaign, { ...acme, name: 'Smith & <Sons>' });
+
+      expect(message.emailText).toContain('Hello Smith & <Sons>');
+      expect(message.emailHtml).toContain('<p>Hello Smith &amp; &lt;Sons&gt;,</p>');
+      expect(message.emailHtml).toContain(`<a href="${message.replyUrl}">`);
+    });
+
+    test('Compose Messages should render an HTML template with escaped variables', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, {
+        templates: {
+          default: { en: { sell: { html: '<h1>{{item}}</h1><p>Dear {{reseller.name}}</p>{{product_details}}' } } }
+        }
+      });
+
+      const message = await contactReseller(staticData, campaign, { ...acme, name: 'Smith & Sons' });
+
+      expect(message.emailHtml).toBe('<h1>Rolex Submariner (2020)</h1><p>Dear Smith &amp; Sons</p><ul><li>Condition: Used</li></ul>');
+      expect(message.subject).toBe('Quote Request: Rolex Submariner (2020)');
+    });
+
+    test('Load Templates should reject placeholders that are not known variables', async () => {
+      await expect(startCampaign({}, {
+        templates: { default: { en: { sell: { subject: 'Offer for {{reseller.phone}}' } } } }
+      })).rejects.toThrow('Template default/en/sell uses unknown variable {{reseller.phone}}');
+    });
+
+    test('Load Templates should merge OUTREACH_TEMPLATES_FILE under the request templates', async () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'templates-')), 'templates.json');
+      fs.writeFileSync(file, JSON.stringify({
+        default: { en: { sell: { subject: 'From file: {{item}}' }, buy: { subject: 'File quote: {{item}}' } } }
+      }));
+      const staticData = {};
+      const campaign = await startCampaign(staticData, {
+        templates: { default: { en: { sell: { subject: 'From request: {{item}}' } } } }
+      }, { env: { ...env, OUTREACH_TEMPLATES_FILE: file } });
+
+      const templates = staticData.campaigns[campaign.requestId].templates;
+
+      expect(templates.default.en.sell.subject).toBe('From request: {{item}}');
+      expect(templates.default.en.buy.subject).toBe('File quote: {{item}}');
+      expect(templates.default.en.sell.text).toContain('{{reply_url}}');
+    });
+
+    test('Compose Messages should fail before recording anything when a variable is missing', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, {
+        templates: { default: { en: { sell: { text: 'Need {{product.serial}} - {{reply_url}}' } } } }
+      });
+
+      await expect(contactReseller(staticData, campaign, acme))
+        .rejects.toThrow('Template validation failed: Template default/en/sell is missing product.serial for ACME123');
+      expect(staticData.campaigns[campaign.requestId].resellers).toEqual({});
+      expect(Object.keys(staticData.replyTokens || {})).toHaveLength(0);
+    });
+
+    test('Sweep Reminders should remind each reseller in their own locale', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      await contactReseller(staticData, campaign, hans);
+      const record = staticData.campaigns[campaign.requestId];
+      record.created_at = new Date(Date.now() - 33 * 60 * 1000).toISOString();
+      record.deadline = new Date(Date.now() + 27 * 60 * 1000).toISOString();
+
+      const [reminder] = await runFunctionNode('Sweep Reminders', { items: [{}], staticData, env });
+
+      expect(reminder.json.subject).toBe('Erinnerung: Angebotsanfrage: Rolex Submariner (2020)');
+      expect(reminder.json.emailText).toContain('Ihr Angebot liegt uns noch nicht vor');
+      expect(reminder.json.emailHtml).toContain('<p>Guten Tag Hans Uhren,</p>');
+    });
+  });
+
+  describe('Product Schemas', () => {
+    const classicCar = {
+      category: 'Classic Cars', make: 'Ford', model: 'Mustang', year: '1967', mileage: '54000', vin: '7R01C123456', matching_numbers: 'yes'
+    };
+
+    test('Validate Input should check and coerce attributes against the category schema', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { product: classicCar });
+
+      expect(campaign.product).toEqual({
+        category: 'classic_cars', make: 'Ford', model: 'Mustang', year: 1967, mileage: 54000, vin: '7R01C123456', matching_numbers: true
+      });
+      expect(campaign.productTitle).toBe('1967 Ford Mustang');
+      expect(campaign.productDetails.map(d => `${d.label}: ${d.value}`))
+        .toEqual(['Mileage: 54,000 mi', 'VIN: 7R01C123456', 'Matching numbers: Yes']);
+      expect(campaign.config.targeting.specialties).toEqual(['Classic Cars']);
+    });
+
+    test('Validate Input should report every schema violation', async () => {
+      await expect(startCampaign({}, {
+        product: { category: 'classic_cars', make: 'Ford', year: 1850, mileage: -1, vin: 'IOQ', color: 'red' }
+      })).rejects.toThrow([
+        'Unknown product attribute for classic_cars: color',
+        'Missing: product.model',
+        'Invalid product.year: expected an integer between 1885 and',
+      ].join(', '));
+      await expect(startCampaign({}, { product: { category: 'classic_cars', make: 'Ford', model: 'T', year: 1925, vin: 'IOQ12' } }))
+        .rejects.toThrow('Invalid product.vin: expected 5-17 letters and digits, no I, O or Q');
+      await expect(startCampaign({}, { product: { category: 'boats', make: 'Riva' } }))
+        .rejects.toThrow('Unknown product category: boats');
+    });
+
+    test('Compose Messages should list only the attributes that were given', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { product: { brand: 'Rolex', model: 'Submariner' } });
+
+      const message = await contactReseller(staticData, campaign);
+
+      expect(message.subject).toBe('Quote Request: Rolex Submariner');
+      expect(message.emailText).toContain('• Condition: Used');
+      expect(message.emailText).not.toMatch(/Unknown|N\/A|Serial/);
+      expect(message.apiBody.product).toEqual({ category: 'general', brand: 'Rolex', model: 'Submariner', condition: 'Used' });
+    });
+
+    test('Compose Messages should send products without extra attributes', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { product: { category: 'art', artist: 'Agnes Martin', title: 'Untitled' } });
+
+      const message = await contactReseller(staticData, campaign);
+
+      expect(message.subject).toBe('Quote Request: Agnes Martin, Untitled');
+      expect(message.emailText).toContain('We have a Agnes Martin, Untitled available:\n\nPlease provide');
+    });
+
+    test('Load Templates should only accept attributes of the campaign schema', async () => {
+      await expect(startCampaign({}, {
+        product: classicCar,
+        templates: { classic_cars: { en: { sell: { subject: '{{product.make}} with {{product.operating_hours}}h' } } } }
+      })).rejects.toThrow('Template classic_cars/en/sell uses unknown variable {{product.operating_hours}}');
+    });
+
+    test('Validate Input should load extra categories from PRODUCT_SCHEMAS_FILE', async () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'schemas-')), 'schemas.json');
+      fs.writeFileSync(file, JSON.stringify({
+        boats: {
+          label: 'Boats',
+          display: '{builder} {model}',
+          fields: { builder: { type: 'string', required: true }, model: { type: 'string', required: true }, length_ft: { type: 'number', min: 1, unit: 'ft', label: 'Length' } },
+          summary: ['builder', 'model']
+        }
+      }));
+      const staticData = {};
+      const campaign = await startCampaign(staticData, {
+        product: { category: 'boats', builder: 'Riva', model: 'Aquarama', length_ft: '27' }
+      }, { env: { ...env, PRODUCT_SCHEMAS_FILE: file } });
+
+      const message = await contactReseller(staticData, campaign);
+
+      expect(message.subject).toBe('Quote Request: Riva Aquarama');
+      expect(message.emailText).toContain('• Length: 27 ft');
+    });
+
+    test('Rank Top 5 should show the schema summary fields', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { product: { ...classicCar, condition: 'driver', location: 'Austin, TX' } });
+
+      const [summary] = await runFunctionNode('Rank Top 5', {
+        items: [],
+        nodes: { 'Summary Query': await summaryQuery(staticData, { requestId: campaign.requestId }) },
+        staticData
+      });
+
+      expect(summary.json.product_title).toBe('1967 Ford Mustang');
+      expect(summary.json.product).toEqual({
+        category: 'classic_cars', make: 'Ford', model: 'Mustang', year: 1967, mileage: 54000, condition: 'Driver'
+      });
+    });
+  });
+
+  describe('Attachments', () => {
+    const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(2048, 1)]);
+    const pdf = Buffer.from('%PDF-1.7\n% service history\n');
+    const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+    const files = {
+      'https://cdn.example.com/photos/dial.jpg': { body: jpeg, headers: { 'content-type': 'image/jpeg' } },
+      'https://cdn.example.com/docs/papers.pdf': { body: pdf, headers: { 'content-type': 'application/pdf; charset=binary' } },
+      'https://cdn.example.com/photos/fake.png': { body: pdf, headers: { 'content-type': 'image/png' } },
+      'https://cdn.example.com/clip.mp4': { body: jpeg, headers: { 'content-type': 'video/mp4' } }
+    };
+    const helpers = { httpRequest: async ({ url }) => files[url] };
+
+    async function loadAttachments(staticData, overrides, context = {}) {
+      const [started] = await runFunctionNode('Validate Input', { items: [startInput(overrides)], staticData, env });
+      if (context.binary) started.binary = context.binary;
+      const [loaded] = await runFunctionNode('Load Attachments', {
+        items: [started], staticData, env: context.env || env, helpers
+      });
+      await runFunctionNode('Load FX Rates', { items: [started], staticData, env });
+      await runFunctionNode('Load Templates', { items: [started], staticData, env });
+      await runFunctionNode('Load Channels', { items: [started], staticData, env });
+      return { campaign: started.json, loaded };
+    }
+
+    async function attachFiles(staticData, loaded, message) {
+      const [attached] = await runFunctionNode('Attach Files', {
+        items: [message],
+        nodes: { 'Load Attachments': { items: [loaded] } },
+        staticData
+      });
+      return attached;
+    }
+
+    test('Load Attachments should fingerprint downloads and uploads', async () => {
+      const staticData = {};
+      const { campaign, loaded } = await loadAttachments(staticData, {
+        attachments: [{ url: 'https://cdn.example.com/photos/dial.jpg', sha256: sha256(jpeg) }]
+      }, { binary: { papers: { data: pdf.toString('base64'), mimeType: 'application/pdf', fileName: 'papers.pdf' } } });
+
+      expect(staticData.campaigns[campaign.requestId].attachments).toEqual([
+        { filename: 'dial.jpg', mime_type: 'image/jpeg', size: jpeg.length, sha256: sha256(jpeg), url: 'https://cdn.example.com/photos/dial.jpg', source: 'url', binary_key: 'attachment_0' },
+        { filename: 'papers.pdf', mime_type: 'application/pdf', size: pdf.length, sha256: sha256(pdf), url: null, source: 'upload', binary_key: 'attachment_1' }
+      ]);
+      expect(Buffer.from(loaded.binary.attachment_0.data, 'base64')).toEqual(jpeg);
+    });
+
+    test('Load Attachments should enforce types, content, size and checksums', async () => {
+      await expect(loadAttachments({}, {
+        attachments: [
+          { url: 'https://cdn.example.com/clip.mp4' },
+          { url: 'https://cdn.example.com/photos/fake.png' },
+          { url: 'https://cdn.example.com/docs/papers.pdf', sha256: sha256(jpeg) }
+        ]
+      })).rejects.toThrow([
+        'Invalid attachments: clip.mp4: type video/mp4 is not allowed',
+        'fake.png: content does not match image/png',
+        'papers.pdf: SHA-256 does not match'
+      ].join(', '));
+      await expect(loadAttachments({}, { attachments: [{ url: 'https://cdn.example.com/photos/dial.jpg' }] },
+        { env: { ...env, ATTACHMENT_MAX_MB: '0.001' } })).rejects.toThrow(`dial.jpg: ${jpeg.length} bytes exceeds 1048`);
+    });
+
+    test('Validate Input should reject malformed attachment lists', async () => {
+      await expect(startCampaign({}, { attachments: [{ url: 'ftp://cdn.example.com/a.jpg' }] }))
+        .rejects.toThrow('Invalid attachments: expected [{ url, filename?, sha256? }]');
+      await expect(startCampaign({}, { config: { attachmentDelivery: 'fax' } }))
+        .rejects.toThrow('Invalid config.attachmentDelivery');
+    });
+
+    test('Compose Messages should list the files with their checksums', async () => {
+      const staticData = {};
+      const { campaign } = await loadAttachments(staticData, {
+        attachments: [{ url: 'https://cdn.example.com/photos/dial.jpg', filename: 'Dial close-up.jpg' }]
+      });
+
+      const message = await contactReseller(staticData, campaign);
+
+      expect(message.emailText).toContain(`Attachments (SHA-256):\n• Dial close-up.jpg (3 KB): ${sha256(jpeg)}`);
+      expect(message.emailHtml).toContain(`• Dial close-up.jpg (3 KB): ${sha256(jpeg)}`);
+    });
+
+    test('Attach Files should add binaries to emails and URLs or base64 to API payloads', async () => {
+      const staticData = {};
+      const { campaign, loaded } = await loadAttachments(staticData, {
+        attachments: [{ url: 'https://cdn.example.com/photos/dial.jpg' }]
+      }, { binary: { papers: { data: pdf.toString('base64'), mimeType: 'application/pdf', fileName: 'papers.pdf' } } });
+      const emailOnly = await contactReseller(staticData, campaign, acme);
+      const withApi = await contactReseller(staticData, campaign, { ...acme, id: 'API1', api_url: 'https://api.example.com/quotes' });
+
+      const email = await attachFiles(staticData, loaded, emailOnly);
+      const api = await attachFiles(staticData, loaded, withApi);
+
+      expect(email.json.attachment_properties).toBe('attachment_0,attachment_1');
+      expect(email.binary.attachment_1).toMatchObject({ mimeType: 'application/pdf', fileName: 'papers.pdf' });
+      expect(api.json.apiBody.attachments).toEqual([
+        { filename: 'dial.jpg', mime_type: 'image/jpeg', size: jpeg.length, sha256: sha256(jpeg), url: 'https://cdn.example.com/photos/dial.jpg' },
+        { filename: 'papers.pdf', mime_type: 'application/pdf', size: pdf.length, sha256: sha256(pdf), data: pdf.toString('base64') }
+      ]);
+      expect(api.binary).toBeUndefined();
+    });
+
+    test('Attach Files should inline every file when attachmentDelivery is base64', async () => {
+      const staticData = {};
+      const { campaign, loaded } = await loadAttachments(staticData, {
+        attachments: [{ url: 'https://cdn.example.com/photos/dial.jpg' }],
+        config: { attachmentDelivery: 'base64' }
+      });
+      const message = await contactReseller(staticData, campaign, { ...acme, api_url: 'https://api.example.com/quotes' });
+
+      const api = await attachFiles(staticData, loaded, message);
+
+      expect(api.json.apiBody.attachments[0]).toMatchObject({ data: jpeg.toString('base64') });
+      expect(api.json.apiBody.attachments[0].url).toBeUndefined();
+    });
+  });
+
+  describe('Email Replies', () => {
+    const inboundEnv = { ...env, INBOUND_EMAIL_ADDRESS: 'offers@marketplace.example.com', INBOUND_EMAIL_SECRET: 'test-inbound-key' };
+
+    // Local stand-in for the inbox: runs a message through Parse Email Reply and Score Offer
+    async function receiveEmail(staticData, email) {
+      const [parsed] = await runFunctionNode('Parse Email Reply', { items: [email], staticData, env: inboundEnv });
+      const [result] = await runFunctionNode('Score Offer', { items: [parsed], staticData, env: inboundEnv });
+      return result.json;
+    }
+
+    async function contactByEmail(staticData, campaign, reseller = acme) {
+      const [message] = await runFunctionNode('Compose Messages', {
+        items: [reseller],
+        nodes: { 'Validate Input': { json: campaign } },
+        staticData,
+        env: inboundEnv
+      });
+      return message.json;
+    }
+
+    test('Compose Messages should put a reply ref in the reply-to address and the text', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+
+      const message = await contactByEmail(staticData, campaign);
+      const ref = staticData.campaigns[campaign.requestId].resellers.ACME123.email_ref;
+
+      expect(message.replyTo).toBe(`offers+${ref}@marketplace.example.com`);
+      expect(message.emailText).toContain(`(ref:${ref})`);
+      expect(staticData.emailRefs[ref]).toEqual({ request_id: campaign.requestId, reseller_id: 'ACME123' });
+    });
+
+    test('Parse Email Reply should score a plain-text reply matched by its reply-to ref', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactByEmail(staticData, campaign);
+
+      const offer = await receiveEmail(staticData, {
+        from: { value: [{ address: 'Sales@Acme.com', name: 'ACME Watches' }] },
+        to: { value: [{ address: message.replyTo }] },
+        subject: 'Re: something else entirely',
+        messageId: '<abc@acme.com>',
+        text: 'Hi,\n\nWe can offer $12,500 for it.\nTerms: wire transfer within 24h\n\nOn Mon, Marketplace wrote:\n> Please provide your best offer within 60 minutes\n> USD 99,999'
+      });
+
+      expect(offer).toMatchObject({
+        request_id: campaign.requestId,
+        reseller_id: 'ACME123',
+        price: 12500,
+        currency: 'USD',
+        terms: 'wire transfer within 24h',
+        source: 'email',
+        parse_confidence: 0.85,
+        needs_review: false
+      });
+      expect(JSON.parse(offer.score_breakdown).matched_terms).toEqual(['wire/bank', '24/immediate']);
+    });
+
+    test('Parse Email Reply should match by subject and sender, prefer a JSON block and flag the match for review', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      await contactByEmail(staticData, campaign);
+
+      const offer = await receiveEmail(staticData, {
+        from: 'ACME Watches <sales@acme.com>',
+        subject: 'RE: Quote Request: Rolex Submariner (2020)',
+        text: 'Our offer: {"price": 11800, "currency": "EUR", "terms": "certified"} - 200 EUR less without box'
+      });
+
+      expect(offer).toMatchObject({
+        reseller_id: 'ACME123', price: 11800, currency: 'EUR', terms: 'certified', parse_confidence: 0.5, needs_review: true
+      });
+    });
+
+    test('Parse Email Reply should flag low-confidence parses for review', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      await contactByEmail(staticData, campaign);
+
+      const offer = await receiveEmail(staticData, {
+        from: 'sales@acme.com',
+        subject: 'Re: Quote Request: Rolex Submariner (2020)',
+        text: 'My price would be 11.500 if you can ship this week'
+      });
+      const [summary] = await runFunctionNode('Rank Top 5', {
+        items: [offer],
+        nodes: { 'Summary Query': await summaryQuery(staticData, { requestId: campaign.requestId }) },
+        staticData
+      });
+
+      expect(offer).toMatchObject({ price: 11500, currency: 'USD', parse_confidence: 0.5, needs_review: true });
+      expect(staticData.campaigns[campaign.requestId].email_replies[0]).toMatchObject({
+        reseller_id: 'ACME123', matched_by: 'subject', status: 'needs_review'
+      });
+      expect(summary.json.analytics.needs_review).toBe(1);
+      expect(summary.json.top_offers[0].needs_review).toBe(true);
+    });
+
+    test('Parse Email Reply should review replies sent from another address', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactByEmail(staticData, campaign);
+
+      const offer = await receiveEmail(staticData, {
+        from: 'assistant@acme-group.com',
+        to: message.replyTo,
+        subject: 'Re: Quote Request',
+        text: 'EUR 12.000,00 is our offer.'
+      });
+
+      expect(offer).toMatchObject({ price: 12000, currency: 'EUR', parse_confidence: 0.5, needs_review: true });
+      expect(offer.notes).toBe('Parsed from email sent by assistant@acme-group.com');
+    });
+
+    test('Parse Email Reply should parse every message of an inbox poll', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const acmeMessage = await contactByEmail(staticData, campaign);
+      const deskMessage = await contactByEmail(staticData, campaign, { ...acme, id: 'DESK1', name: 'Watch Desk', email: 'desk@watches.com' });
+
+      const parsed = await runFunctionNode('Parse Email Reply', {
+        items: [
+          { from: 'sales@acme.com', to: acmeMessage.replyTo, subject: 'Re: Quote', text: 'USD 12,000 is our offer.' },
+          { from: 'desk@watches.com', to: deskMessage.replyTo, subject: 'Re: Quote', text: 'We offer USD 12,400.' }
+        ],
+        staticData,
+        env: inboundEnv
+      });
+      const offers = await runFunctionNode('Score Offer', { items: parsed, staticData, env: inboundEnv });
+
+      expect(offers.map(o => [o.json.reseller_id, o.json.price])).toEqual([['ACME123', 12000], ['DESK1', 12400]]);
+    });
+
+    test('Parse Email Reply should reject unmatched and unreadable replies', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      await contactByEmail(staticData, campaign);
+
+      const unmatched = await receiveEmail(staticData, { from: 'stranger@example.com', subject: 'Hello', text: '$5,000' });
+      const unreadable = await receiveEmail(staticData, {
+        from: 'sales@acme.com', subject: 'Re: Quote Request: Rolex Submariner (2020)', text: 'Call me tomorrow.'
+      });
+
+      expect(unmatched).toMatchObject({ rejected: true, status_code: 404, error: 'Email reply does not match a campaign' });
+      expect(staticData.unmatchedEmails).toHaveLength(1);
+      expect(unreadable).toMatchObject({ rejected: true, status_code: 422, error: 'No price found in email reply' });
+      expect(staticData.campaigns[campaign.requestId].email_replies[0].status).toBe('unparsed');
+    });
+
+    test('Inbound Email should need the shared secret and replay a re-delivered message', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const message = await contactByEmail(staticData, campaign);
+      const delivery = key => ({
+        headers: { 'x-inbound-secret': key },
+        body: {
+          sender: 'sales@acme.com',
+          recipient: message.replyTo,
+          subject: 'Re: Quote Request: Rolex Submariner (2020)',
+          'Message-Id': '<m1@acme.com>',
+          'body-plain': '12.5k USD, bank transfer'
+        }
+      });
+
+      const forged = await receiveEmail(staticData, delivery('wrong-key-value!'));
+      const first = await receiveEmail(staticData, delivery('test-inbound-key'));
+      const again = await receiveEmail(staticData, delivery('test-inbound-key'));
+
+      expect(forged).toMatchObject({ rejected: true, status_code: 401 });
+      expect(first).toMatchObject({ price: 12500, currency: 'USD', revision: 1 });
+      expect(again).toMatchObject({ replayed: true, response: { offer_id: first.offer_id } });
+    });
+  });
+
+  describe('Outreach Channels', () => {
+    const sms = { id: 'SMS1', name: 'Pocket Dealer', phone: '+1 (555) 010-2030', region: 'US', trust_score: 7 };
+    const whatsapp = { ...sms, id: 'WA1', name: 'Chat Watches', email: 'chat@watches.com', preferred_channels: 'WhatsApp; sms' };
+
+    function channelsFile(adapters) {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'channels-')), 'channels.json');
+      fs.writeFileSync(file, JSON.stringify(adapters));
+      return file;
+    }
+
+    const whatsappEnv = () => ({
+      ...env,
+      WHATSAPP_API_TOKEN: 'test-whatsapp-credential',
+      OUTREACH_CHANNELS_FILE: channelsFile({
+        whatsapp: {
+          url: 'https://graph.example.com/v1/messages',
+          auth: { header: 'Authorization', prefix: 'Bearer ', env: 'WHATSAPP_API_TOKEN' }
+        }
+      })
+    });
+
+    test('Validate Resellers should keep phone numbers and channel preferences', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+
+      const [pocket, chat] = await selectResellers(staticData, campaign, [
+        { ...sms, channel: 'SMS' },
+        { ...whatsapp, phone: 'n/a' }
+      ]);
+
+      expect(pocket).toMatchObject({ phone: '+15550102030', preferred_channels: 'sms' });
+      expect(chat).toMatchObject({ phone: '', preferred_channels: 'whatsapp;sms' });
+    });
+
+    test('Compose Messages should use the preferred channel and map its payload', async () => {
+      const staticData = {};
+      const context = { env: whatsappEnv() };
+      const campaign = await startCampaign(staticData, {}, context);
+      const [reseller] = await selectResellers(staticData, campaign, [whatsapp]);
+
+      const [message] = await runFunctionNode('Compose Messages', {
+        items: [reseller], nodes: { 'Validate Input': { json: campaign } }, staticData, env: context.env
+      });
+
+      expect(message.json).toMatchObject({ channel: 'whatsapp', transport: 'http', channel_fallbacks: ['email'] });
+      expect(message.json.channelRequest).toEqual({
+        method: 'POST',
+        url: 'https://graph.example.com/v1/messages',
+        headers: {},
+        auth: { header: 'Authorization', prefix: 'Bearer ', env: 'WHATSAPP_API_TOKEN' },
+        body: {
+          messaging_product: 'whatsapp',
+          to: '+15550102030',
+          type: 'text',
+          text: { body: `Quote Request: Rolex Submariner (2020)\n${message.json.replyUrl}\nSigning key: ${message.json.apiBody.signing_key}` }
+        }
+      });
+      expect(JSON.stringify(message.json)).not.toContain('test-whatsapp-credential');
+      expect(staticData.campaigns[campaign.requestId].resellers.WA1.channel).toBe('whatsapp');
+
+      // The text alone is enough to send a signed offer
+      const [, replyUrl, keyLine] = message.json.channelRequest.body.text.body.split('\n');
+      const body = { price: 12000, currency: 'USD' };
+      const offer = await submitOffer(staticData, { replyUrl }, body, { 'x-signature': sign(body, keyLine.replace('Signing key: ', '')) });
+      expect(offer).toMatchObject({ reseller_id: 'WA1', revision: 1 });
+    });
+
+    test('Compose Messages should fall back past channels that are not set up', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+
+      const [reseller] = await selectResellers(staticData, campaign, [whatsapp]);
+      const message = await contactReseller(staticData, campaign, reseller);
+      const api = await contactReseller(staticData, campaign, { ...acme, id: 'API1', api_url: 'https://api.example.com/quotes' });
+
+      expect(message).toMatchObject({ channel: 'email', transport: 'email', channel_fallbacks: [] });
+      expect(api).toMatchObject({ channel: 'api', transport: 'api', channel_fallbacks: ['email'] });
+    });
+
+    test('Compose Messages should report resellers no channel can reach', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+
+      const messages = await runFunctionNode('Compose Messages', {
+        items: [acme, { ...sms, phone: '+15550102030' }], nodes: { 'Validate Input': { json: campaign } }, staticData, env
+      });
+      const [status] = await runFunctionNode('Get Campaign', { items: [{ headers: operator, params: { id: campaign.requestId } }], staticData, env });
+
+      expect(messages.map(m => m.json.id)).toEqual(['ACME123']);
+      expect(status.json.unreachable).toEqual([
+        { reseller_id: 'SMS1', name: 'Pocket Dealer', preferred_channels: '', reason: 'No available channel' }
+      ]);
+      await expect(contactReseller(staticData, campaign, { ...sms, phone: '+15550102030' }))
+        .rejects.toThrow('No reseller can be reached on an available channel');
+    });
+
+    test('Load Channels should reject broken adapter config', async () => {
+      await expect(startCampaign({}, {}, {
+        env: { ...env, OUTREACH_CHANNELS_FILE: channelsFile({ sms: { url: 'https://sms.example.com', payload: { to: '{{mobile}}' } } }) }
+      })).rejects.toThrow('Channel sms uses unknown variable {{mobile}}');
+      await expect(startCampaign({}, {}, {
+        env: { ...env, OUTREACH_CHANNELS_FILE: channelsFile({ sms: { url: 'https://sms.example.com', auth: { header: 'X-Key', env: 'SMS_KEY' } } }) }
+      })).rejects.toThrow('Channel sms: SMS_KEY is not set');
+      await expect(startCampaign({}, {}, { env: { ...env, CHANNEL_FALLBACK_ORDER: 'email,fax' } }))
+        .rejects.toThrow('CHANNEL_FALLBACK_ORDER names unknown channel fax');
+    });
+
+    test('Stub Transport should record messages for stubbed channels', async () => {
+      const stubFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stub-')), 'outbox.jsonl');
+      const stubEnv = { ...env, CHANNEL_STUB_FILE: stubFile, OUTREACH_CHANNELS_FILE: channelsFile({ sms: { transport: 'stub' } }) };
+      const staticData = {};
+      const campaign = await startCampaign(staticData, {}, { env: stubEnv });
+      const [message] = await runFunctionNode('Compose Messages', {
+        items: [{ ...sms, phone: '+15550102030' }], nodes: { 'Validate Input': { json: campaign } }, staticData, env: stubEnv
+      });
+
+      const [stubbed] = await runFunctionNode('Stub Transport', { items: [message], staticData, env: stubEnv });
+
+      expect(message.json.transport).toBe('stub');
+      expect(stubbed.json.stubbed).toBe(true);
+      expect(staticData.stubOutbox[0]).toMatchObject({
+        channel: 'sms', reseller_id: 'SMS1', to: '+15550102030', request: { body: { to: '+15550102030' } }
+      });
+      expect(JSON.parse(fs.readFileSync(stubFile, 'utf8').trim())).toEqual(staticData.stubOutbox[0]);
+    });
+
+    test('Sweep Reminders should remind on the reseller\'s channel', async () => {
+      const staticData = {};
+      const context = { env: whatsappEnv() };
+      const campaign = await startCampaign(staticData, {}, context);
+      const [reseller] = await selectResellers(staticData, campaign, [whatsapp]);
+      const messages = await runFunctionNode('Compose Messages', {
+        items: [reseller], nodes: { 'Validate Input': { json: campaign } }, staticData, env: context.env
+      });
+      await runFunctionNode('Rate Limit', { items: messages, staticData, env: context.env });
+      const record = staticData.campaigns[campaign.requestId];
+      record.created_at = new Date(Date.now() - 33 * 60 * 1000).toISOString();
+      record.deadline = new Date(Date.now() + 27 * 60 * 1000).toISOString();
+
+      const [reminder] = await runFunctionNode('Sweep Reminders', { items: [{}], staticData, env: context.env });
+
+      expect(reminder.json).toMatchObject({ channel: 'whatsapp', transport: 'http' });
+      expect(reminder.json.channelRequest.body.text.body).toMatch(/^Reminder: Quote Request: Rolex Submariner \(2020\)\nhttps:/);
+    });
+
+    test('Send Channel should resolve adapter auth from the environment', () => {
+      const workflow = loadWorkflow();
+      const sendChannel = workflow.nodes.find(n => n.name === 'Send Channel');
+
+      expect(sendChannel.parameters.url).toBe('={{$json.channelRequest.url}}');
+      expect(sendChannel.parameters.headerParametersJson).toContain('$env[$json.channelRequest.auth.env]');
+      expect(workflow.connections.Channel.main.map(output => output[0].node))
+        .toEqual(['Send API', 'Send Email', 'Send Channel', 'Stub Transport']);
+    });
+  });
+
+  describe('API Quotes', () => {
+    const apiReseller = { ...acme, id: 'API1', name: 'API Watches', api_url: 'https://api.example.com/quotes' };
+    const otherApi = { ...acme, id: 'API2', name: 'Quote Bot', api_url: 'https://quotes.example.org/rfq' };
+
+    // Local stand-in for Send API: the responses come back in the order the requests went out
+    async function sendApi(staticData, campaign, resellers, responses) {
+      const messages = await runFunctionNode('Compose Messages', {
+        items: resellers, nodes: { 'Validate Input': { json: campaign } }, staticData, env
+      });
+      const quotes = await runFunctionNode('API Quotes', { items: responses, nodes: { Channel: { items: messages } } });
+      return { messages, quotes };
+    }
+
+    test('Send API responses with a price should be scored as api_sync offers', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const { messages, quotes } = await sendApi(staticData, campaign, [apiReseller, otherApi], [
+        { status: 'received' },
+        { quote: { price: 12000, currency: 'usd', terms: 'Wire transfer', quote_id: 'q-77' } }
+      ]);
+
+      const [offer] = await runFunctionNode('Score Offer', { items: quotes, staticData, env });
+
+      expect(quotes).toHaveLength(1);
+      expect(quotes[0].json.api_quote.reply_token).toBe(new URL(messages[1].json.replyUrl).searchParams.get('token'));
+      expect(offer.json).toMatchObject({
+        reseller_id: 'API2',
+        price: 12000,
+        currency: 'USD',
+        terms: 'Wire transfer',
+        contact: 'https://quotes.example.org/rfq',
+        source: 'api_sync',
+        parse_confidence: null,
+        needs_review: false
+      });
+      expect(staticData.campaigns[campaign.requestId].api_quotes).toEqual([expect.objectContaining({
+        reseller_id: 'API2', price: 12000, currency: 'USD', status: 'accepted', offer_id: offer.json.offer_id
+      })]);
+    });
+
+    test('API quotes should go through the same validation as Offer Intake and only be logged when rejected', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const { quotes } = await sendApi(staticData, campaign, [apiReseller, otherApi], [
+        { price: 12000, currency: 'XYZ' },
+        { price: 5000000, currency: 'USD' }
+      ]);
+
+      const results = await runFunctionNode('Score Offer', { items: quotes, staticData, env });
+      const [status] = await runFunctionNode('Get Campaign', { items: [{ headers: operator, params: { id: campaign.requestId } }], staticData, env });
+
+      expect(results).toEqual([]);
+      expect(status.json.api_quotes.map(q => [q.reseller_id, q.status, q.error])).toEqual([
+        ['API1', 'rejected', 'Invalid currency'],
+        ['API2', 'rejected', 'Price too high (max USD 1,000,000)']
+      ]);
+      expect(status.json.offers_received).toBe(0);
+    });
+
+    test('API Quotes should replay a quote with the same id only once', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const { quotes } = await sendApi(staticData, campaign, [apiReseller], [{ id: 'q-1', price: 9000, currency: 'EUR' }]);
+
+      const [first] = await runFunctionNode('Score Offer', { items: quotes, staticData, env });
+      const [again] = await runFunctionNode('Score Offer', { items: quotes, staticData, env });
+
+      expect(first.json).toMatchObject({ source: 'api_sync', revision: 1 });
+      expect(again).toBeUndefined();
+      expect(staticData.campaigns[campaign.requestId].offers.API1.revision).toBe(1);
+    });
+
+    test('API Quotes should skip responses it cannot pair with a reseller', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const { quotes } = await sendApi(staticData, campaign, [apiReseller], [
+        { price: 9000, currency: 'USD' },
+        { price: 9500, currency: 'USD' }
+      ]);
+
+      expect(quotes).toEqual([]);
+    });
+
+    test('Send API should pass its responses to API Quotes and on to Score Offer', () => {
+      const { nodes, connections } = loadWorkflow();
+      const answer = nodes.find(n => n.name === 'Answer Offer?');
+
+      expect(connections['Send API'].main[0].map(c => c.node)).toEqual(['Pair API Result', 'API Quotes']);
+      expect(connections['API Quotes'].main[0].map(c => c.node)).toEqual(['Score Offer']);
+      // Stored API quotes skip Accept Offer - in the start execution it would answer the start request
+      ['Store Offer (Sheets)', 'Store Offer (Postgres)', 'Store Offer (File)'].forEach(store => {
+        expect(connections[store].main[0].map(c => c.node)).toEqual(['Answer Offer?']);
+      });
+      expect(answer.parameters.conditions.boolean[0].value1).toContain("$json.source !== 'api_sync'");
+      expect(connections['Answer Offer?'].main.map(output => output.map(c => c.node))).toEqual([['Accept Offer'], ['Campaign Full?']]);
+      // A quote that fills the campaign ranks it with final results - Return Summary only answers summary requests
+      const summaryRequest = nodes.find(n => n.name === 'Summary Request?');
+      expect(connections['Rank Top 5'].main[0].map(c => c.node)).not.toContain('Return Summary');
+      expect(summaryRequest.parameters.conditions.boolean[0].value1).toBe('={{!$json.dispatch}}');
+      expect(connections['Summary Request?'].main.map(output => output.map(c => c.node))).toEqual([['Return Summary'], []]);
+    });
+  });
+
+  describe('Delivery Tracking', () => {
+    const apiOnly = { ...acme, id: 'API1', name: 'API Watches', email: '', api_url: 'https://api.example.com/quotes' };
+    const apiAndEmail = { ...acme, id: 'API2', name: 'Quote Bot', api_url: 'https://quotes.example.org/rfq' };
+
+    async function composeBatch(staticData, campaign, resellers) {
+      const messages = await runFunctionNode('Compose Messages', {
+        items: resellers, nodes: { 'Validate Input': { json: campaign } }, staticData, env
+      });
+      const [plan] = await runFunctionNode('Plan Batches', {
+        items: messages, nodes: { 'Validate Input': { json: campaign } }, staticData
+      });
+      const batch = await runFunctionNode('Next Batch', {
+        items: [plan], nodes: { 'Compose Messages': { items: messages } }, staticData
+      });
+      const released = await runFunctionNode('Rate Limit', { items: batch, staticData, env });
+      return released.map(m => m.json);
+    }
+
+    // Local stand-in for the Pair ... Result merges: each message with its send result, message fields first
+    async function trackDelivery(staticData, attempts) {
+      const results = await runFunctionNode('Track Delivery', {
+        items: attempts.map(([message, result]) => ({ ...result, ...message })),
+        staticData
+      });
+      return results.map(r => r.json);
+    }
+
+    test('Track Delivery should report a settled batch', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const batch = await composeBatch(staticData, campaign, [acme, apiOnly]);
+
+      const [report] = await trackDelivery(staticData, [
+        [batch[0], { accepted: ['sales@acme.com'], rejected: [], response: '250 OK' }],
+        [batch[1], { status: 'received' }]
+      ]);
+      const [status] = await runFunctionNode('Get Campaign', { items: [{ headers: operator, params: { id: campaign.requestId } }], staticData, env });
+
+      expect(report).toEqual({
+        request_id: campaign.requestId,
+        batch: 1,
+        dispatch: {
+          total: 2,
+          dispatched: 2,
+          queued: 0,
+          next_send_at: null,
+          updated_at: expect.any(String),
+          batch_size: 25,
+          batches_total: 1,
+          batches_done: 1,
+          finished_at: null
+        },
+        delivery: {
+          by_status: { sent: 2, unconfirmed: 0, bounced: 0, timeout: 0, http_error: 0 },
+          retrying: 0,
+          failed: [],
+          updated_at: expect.any(String)
+        }
+      });
+      expect(status.json.delivery).toEqual(report.delivery);
+      expect(status.json.resellers.map(r => r.delivery_status)).toEqual(['sent', 'sent']);
+    });
+
+    test('Track Delivery should hold the batch until every reseller has a final status', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const batch = await composeBatch(staticData, campaign, [acme, apiOnly]);
+
+      const first = await trackDelivery(staticData, [[batch[1], { status: 'received' }]]);
+      const second = await trackDelivery(staticData, [[batch[0], { accepted: ['sales@acme.com'], rejected: [] }]]);
+
+      expect(first).toEqual([]);
+      expect(second[0].delivery.by_status.sent).toBe(2);
+    });
+
+    test('Track Delivery should retry timeouts with exponential backoff', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const batch = await composeBatch(staticData, campaign, [apiOnly]);
+      const timeout = { error: { message: 'timeout of 15000ms exceeded' } };
+
+      const [retry] = await trackDelivery(staticData, [[batch[0], timeout]]);
+      const [again] = await trackDelivery(staticData, [[retry, timeout]]);
+      const [report] = await trackDelivery(staticData, [[again, timeout]]);
+
+      expect(retry).toMatchObject({ id: 'API1', channel: 'api', delivery_attempt: 2, retry_in: 5 });
+      expect(retry.error).toBeUndefined();
+      expect(again).toMatchObject({ delivery_attempt: 3, retry_in: 10 });
+      expect(report.delivery.by_status.timeout).toBe(1);
+      expect(report.delivery.failed).toEqual([{
+        reseller_id: 'API1',
+        name: 'API Watches',
+        channel: 'api',
+        status: 'timeout',
+        status_code: null,
+        reason: 'timeout of 15000ms exceeded',
+        attempts: 3
+      }]);
+    });
+
+    test('Track Delivery should retry server errors but not client errors', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData, { config: { retry: { maxRetries: 1, backoffSeconds: 30 } } });
+      const batch = await composeBatch(staticData, campaign, [apiOnly, { ...apiOnly, id: 'API3', name: 'Gone Watches' }]);
+
+      const retries = await trackDelivery(staticData, [
+        [batch[0], { error: { message: 'Service unavailable', httpCode: '503' } }],
+        [batch[1], { error: 'Request failed with status code 404' }]
+      ]);
+      const [report] = await trackDelivery(staticData, [[retries[0], { error: { message: '503 - "busy"' } }]]);
+
+      expect(retries.map(r => [r.id, r.retry_in])).toEqual([['API1', 30]]);
+      expect(report.delivery.failed.map(f => [f.reseller_id, f.status, f.status_code, f.attempts])).toEqual([
+        ['API1', 'http_error', 503, 2],
+        ['API3', 'http_error', 404, 1]
+      ]);
+    });
+
+    test('Track Delivery should fall back to the next channel after a permanent failure', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const batch = await composeBatch(staticData, campaign, [apiAndEmail]);
+
+      const [fallback] = await trackDelivery(staticData, [[batch[0], { error: 'Request failed with status code 410' }]]);
+      const [report] = await trackDelivery(staticData, [[fallback, { accepted: ['sales@acme.com'], rejected: [] }]]);
+      const record = staticData.campaigns[campaign.requestId].delivery.API2;
+
+      expect(fallback).toMatchObject({
+        channel: 'email', transport: 'email', channel_fallbacks: [], channelRequest: null, delivery_attempt: 1, retry_in: 0
+      });
+      expect(report.delivery.by_status).toEqual({ sent: 1, unconfirmed: 0, bounced: 0, timeout: 0, http_error: 0 });
+      expect(record.history.map(h => [h.channel, h.status])).toEqual([['api', 'http_error'], ['email', 'sent']]);
+      expect(staticData.campaigns[campaign.requestId].resellers.API2.channel).toBe('email');
+    });
+
+    test('Track Delivery should report hard bounces without retrying them', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const batch = await composeBatch(staticData, campaign, [acme, { ...acme, id: 'GONE1', email: 'nobody@acme.com' }]);
+
+      const results = await trackDelivery(staticData, [
+        [batch[0], { error: "Can't send mail - all recipients were rejected: 550 5.1.1 <sales@acme.com>: User unknown" }],
+        [batch[1], { accepted: [], rejected: ['nobody@acme.com'] }]
+      ]);
+
+      expect(results).toHaveLength(1);
+      expect(results[0].delivery.failed.map(f => [f.reseller_id, f.status, f.reason])).toEqual([
+        ['ACME123', 'bounced', "Can't send mail - all recipients were rejected: 550 5.1.1 <sales@acme.com>: User unknown"],
+        ['GONE1', 'bounced', 'Rejected by the mail server: nobody@acme.com']
+      ]);
+    });
+
+    test('Track Delivery should ignore reminders passing through Stub Transport', async () => {
+      const results = await runFunctionNode('Track Delivery', { items: [{ id: 'ACME123', round: 1, stubbed: true }], staticData: {} });
+
+      expect(results).toEqual([]);
+    });
+
+    test('Validate Input should reject invalid retry settings', async () => {
+      await expect(startCampaign({}, { config: { retry: { maxRetries: 9 } } }))
+        .rejects.toThrow('Invalid config.retry.maxRetries (expected 0-5)');
+      await expect(startCampaign({}, { config: { retry: { backoffSeconds: 0 } } }))
+        .rejects.toThrow('Invalid config.retry.backoffSeconds (expected 1-60)');
+    });
+
+    test('Send nodes should keep going on failure and pair results with their messages', () => {
+      const { nodes, connections } = loadWorkflow();
+
+      ['Send API', 'Send Email', 'Send Channel'].forEach(name => {
+        expect(nodes.find(n => n.name === name).continueOnFail).toBe(true);
+      });
+      expect(connections.Channel.main.slice(0, 3).map(output => output.map(c => c.node))).toEqual([
+        ['Send API', 'Pair API Result'], ['Send Email', 'Pair Email Result'], ['Send Channel', 'Pair Channel Result']
+      ]);
+      expect(connections['Retry?'].main.map(output => output[0].node)).toEqual(['Backoff', 'Respond Started']);
+      expect(connections.Backoff.main[0][0].node).toBe('Rate Limit');
+      expect(nodes.find(n => n.name === 'Respond Started').parameters.responseBody).toContain('delivery: $json.delivery');
+    });
+  });
+
+  describe('Rate Limiting', () => {
+    const desk = { ...acme, id: 'DESK2', name: 'ACME Desk', email: 'desk@acme.com' };
+    const other = { ...acme, id: 'OTHER3', name: 'Other Watches', email: 'hi@other.org' };
+    const api = { ...acme, id: 'API4', name: 'API Watches', email: '', api_url: 'https://api.example.com/quotes' };
+
+    async function rateLimit(staticData, campaign, resellers, limitEnv = {}, context = {}) {
+      const messages = await runFunctionNode('Compose Messages', {
+        items: resellers, nodes: { 'Validate Input': { json: campaign } }, staticData, env: { ...env, ...context.env }
+      });
+      const results = await runFunctionNode('Rate Limit', { items: messages, staticData, env: { ...env, ...limitEnv } });
+      return results.map(r => r.json);
+    }
+
+    // Move every recorded send back in time, as if the limiter's windows had passed
+    function age(staticData, seconds) {
+      Object.values(staticData.rateLimit).forEach(times => times.forEach((t, i) => { times[i] = t - seconds * 1000; }));
+    }
+
+    test('Rate Limit should hold messages over the global per-minute limit', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+
+      const results = await rateLimit(staticData, campaign, [acme, desk, other], { API_RATE_LIMIT_PER_MINUTE: '2' });
+      const [status] = await runFunctionNode('Get Campaign', { items: [{ headers: operator, params: { id: campaign.requestId } }], staticData, env });
+
+      expect(results.map(r => [r.id, r.throttle_for])).toEqual([['ACME123', undefined], ['DESK2', undefined], ['OTHER3', 60]]);
+      expect(results[2].dispatch).toMatchObject({ total: 3, dispatched: 2, queued: 1, next_send_at: expect.any(String) });
+      expect(status.json.outreach).toMatchObject({ queued: 1, contacted: 2 });
+      expect(status.json.resellers_contacted).toBe(2);
+      expect(status.json.resellers.find(r => r.reseller_id === 'OTHER3')).toMatchObject({ outreach_status: 'queued', sent_at: null });
+    });
+
+    test('Rate Limit should release held messages once the window has passed', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const limits = { API_RATE_LIMIT_PER_MINUTE: '2', API_RATE_LIMIT_PER_HOUR: '10' };
+      const [, , held] = await rateLimit(staticData, campaign, [acme, desk, other], limits);
+
+      const [early] = await runFunctionNode('Rate Limit', { items: [held], staticData, env: { ...env, ...limits } });
+      age(staticData, 61);
+      const [released] = await runFunctionNode('Rate Limit', { items: [held], staticData, env: { ...env, ...limits } });
+
+      expect(early.json.throttle_for).toBeGreaterThan(0);
+      expect(released.json).not.toHaveProperty('throttle_for');
+      expect(released.json).not.toHaveProperty('dispatch');
+      expect(staticData.campaigns[campaign.requestId].dispatch).toMatchObject({ dispatched: 3, queued: 0, next_send_at: null });
+      expect(staticData.campaigns[campaign.requestId].resellers.OTHER3.sent_at).toEqual(expect.any(String));
+    });
+
+    test('Rate Limit should apply the hourly limit', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      await rateLimit(staticData, campaign, [acme], { API_RATE_LIMIT_PER_HOUR: '1' });
+      age(staticData, 600);
+
+      const [held] = await rateLimit(staticData, campaign, [desk], { API_RATE_LIMIT_PER_HOUR: '1' });
+
+      expect(held.throttle_for).toBe(3000);
+    });
+
+    test('Rate Limit should limit each recipient domain on its own', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+
+      const results = await rateLimit(staticData, campaign, [acme, desk, other, api], { DOMAIN_RATE_LIMIT_PER_MINUTE: '1' });
+
+      expect(results.map(r => [r.id, r.throttle_for !== undefined])).toEqual([
+        ['ACME123', false], ['OTHER3', false], ['API4', false], ['DESK2', true]
+      ]);
+      expect(Object.keys(staticData.rateLimit).sort()).toEqual(['domain:acme.com', 'domain:api.example.com', 'domain:other.org']);
+    });
+
+    test('Rate Limit should apply a channel adapter\'s own limit', async () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'channels-')), 'channels.json');
+      fs.writeFileSync(file, JSON.stringify({ email: { rateLimit: { perMinute: 1 } } }));
+      const context = { env: { ...env, OUTREACH_CHANNELS_FILE: file } };
+      const staticData = {};
+      const campaign = await startCampaign(staticData, {}, context);
+
+      const results = await rateLimit(staticData, campaign, [acme, api, other], {}, context);
+
+      expect(results.map(r => [r.id, r.throttle_for !== undefined])).toEqual([['ACME123', false], ['API4', false], ['OTHER3', true]]);
+    });
+
+    test('Rate Limit should count a reseller as dispatched only once', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      const [message] = await rateLimit(staticData, campaign, [acme]);
+      const sentAt = staticData.campaigns[campaign.requestId].resellers.ACME123.sent_at;
+
+      await runFunctionNode('Rate Limit', { items: [{ ...message, delivery_attempt: 2 }], staticData, env });
+
+      expect(staticData.campaigns[campaign.requestId].dispatch).toMatchObject({ total: 1, dispatched: 1 });
+      expect(staticData.campaigns[campaign.requestId].resellers.ACME123.sent_at).toBe(sentAt);
+    });
+
+    test('Load Channels should reject an invalid rateLimit', async () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'channels-')), 'channels.json');
+      fs.writeFileSync(file, JSON.stringify({ email: { rateLimit: { perMinute: 0.5 } } }));
+
+      await expect(startCampaign({}, {}, { env: { ...env, OUTREACH_CHANNELS_FILE: file } }))
+        .rejects.toThrow('Channel email: rateLimit needs whole numbers for perMinute and perHour');
+    });
+
+    test('Sweep Reminders should skip resellers still waiting to be sent', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      await rateLimit(staticData, campaign, [acme, desk], { API_RATE_LIMIT_PER_MINUTE: '1' });
+      const record = staticData.campaigns[campaign.requestId];
+      record.created_at = new Date(Date.now() - 33 * 60 * 1000).toISOString();
+      record.deadline = new Date(Date.now() + 27 * 60 * 1000).toISOString();
+
+      const reminders = await runFunctionNode('Sweep Reminders', { items: [{}], staticData, env });
+
+      expect(reminders.map(r => r.json.id)).toEqual(['ACME123']);
+    });
+
+    test('Rate Limit should hold reminders over a limit without touching the dispatch progress', async () => {
+      const staticData = {};
+      const campaign = await startCampaign(staticData);
+      await rateLimit(staticData, campaign, [acme, desk]);
+      const record = staticData.campaigns[campaign.requestId];
+      record.created_at = new Date(Date.now() - 33 * 60 * 1000).toISOString();
+      record.deadline = new Date(Date.now() + 27 * 60 * 1000).toISOString();
+      const limits = { ...env, API_RATE_LIMIT_PER_MINUTE: '1' };
+
+      const reminders = await runFunctionNode('Sweep Reminders', { items: [{}], staticData, env });
+      const [sent, held] = await runFunctionNode('Rate Limit', { items: reminders, staticData, env: limits });
+      const remindedAt = record.resellers.DESK2.reminders[0].sent_at;
+      age(staticData, 61);
+      const [released] = await runFunctionNode('Rate Limit', { items: [held], staticData, env: limits });
+
+      expect([sent.json.id, sent.json.throttle_for]).toEqual(['ACME123', undefined]);
+      expect(held.json).toMatchObject({ id: 'DESK2', round: 1, throttle_for: 60 });
+      expect(held.json).not.toHaveProperty('dispatch');
+      expect(released.json).toMatchObject({ id: 'DESK2', round: 1 });
+      expect(released.json).not.toHaveProperty('throttle_for');
+      expect(record.resellers.DESK2.reminders[0].sent_at >= remindedAt).toBe(true);
+      expect(record.dispatch).toMatchObject({ total: 2, dispatched: 2, queued: 0, next_send_at: null });
+    });
+
+    test('Outreach should pass Rate Limit before every send', () => {
+      const { connections } = loadWorkflow();
+
+      expect(connections['Next Batch'].main[0][0].node).toBe('Rate Limit');
+      expect(connections['Rate Limit'].main[0][0].node).toBe('Throttled?');
+      expect(connections['Throttled?'].main.map(output => output.map(c => c.node)))
+        .toEqual([['Throttle', 'Respond Queued'], ['Attach Files'], ['Throttle'], ['Reminder Channel']]);
+      expect(connections.Throttle.main[0][0].node).toBe('Rate Limit');
+    });
+
+    test('Reminders should pass Rate Limit and never reach the start request\'s Respond nodes', () => {
+      const { nodes, connections } = loadWorkflow();
+      const route = nodes.find(n => n.name === 'Throttled?').parameters;
+
+      expect(connections['Sweep Reminders'].main[0].map(c => c.node)).toEqual(['Rate Limit']);
+      expect(route.rules.rules.map(rule => [rule.value2, rule.output])).toEqual([
+        ['held', 0], ['send', 1], ['held:reminder', 2], ['send:reminder', 3]
+      ]);
+    });
+  });
+
+  describe('Batching', () => {
+    const resellers = ['R1', 'R2', 'R3', 'R4', 'R5'].map(id => ({ ...acme, id, name: `Reseller ${id}`, email: `${id.toLowerCase()}@example.com` }));
+
+    async function planCampaign(staticData, batchSize) {
+      const campaign = await startCampaign(staticData, { config: { batchSize } });
+      const messages = await runFunctionNode('Compose Messages', {
+        items: resellers, nodes: { 'Validate Input': { json: campaign } }, staticData, env
+      });
+      const [plan] = await runFunctionNode('Plan Batches', {
+        items: messages, nodes: { 'Validate Input': { json: campaign } }, staticData
+      });
+      const nextBatch = async () => (await runFunctionNode('Next Batch', {
+        items: [plan], nodes: { 'Compose Messages': { items: messages } }, staticData
+      })).map(m => m.json);
+      return { campaign, record: staticData.campaigns[campaign.requestId], nextBatch };
+    }
+
+    async function deliver(staticData, batch) {
+      const released = await runFunctionNode('Rate Limit', { items: batch, staticData, env });
+      return runFunctionNode('Track Delivery', {
+        items: released.map(m => ({ ...m.json, accepted: [m.json.email], rejected: [] })),
+        staticData
+      });
+    }
+
+    test('Plan Batches should split resellers by config.batchSize and record their batch', async () => {
+      const staticData = {};
+      const { record } = await planCampaign(staticData, 2);
+
+      expect(record.batches.map(b => b.reseller_ids)).toEqual([['R1', 'R2'], ['R3', 'R4'], ['R5']]);
+      expect(Object.values(record.resellers).map(r => r.batch)).toEqual([1, 1, 2, 2, 3]);
+      expect(record.dispatch).toMatchObject({ batch_size: 2, batches_total: 3, batches_done: 0, finished_at: null });
+    });
+
+    test('Next Batch should send every batch exactly once', async () => {
+      const staticData = {};
+      const { record, nextBatch } = await planCampaign(staticData, 2);
+      const sent = [];
+
+      for (let batch = await nextBatch(); batch.length; batch = await nextBatch()) {
+        sent.push(batch.map(m => [m.id, m.batch]));
+        const settled = await deliver(staticData, batch);
+        expect(settled).toHaveLength(1);
+      }
+
+      expect(sent).toEqual([[['R1', 1], ['R2', 1]], [['R3', 2], ['R4', 2]], [['R5', 3]]]);
+      expect(record.dispatch).toMatchObject({ dispatched: 5, queued: 0, batches_total: 3, batches_done: 3, finished_at: expect.any(String) });
+      expect(record.batches.every(b => b.started_at && b.done_at)).toBe(true);
+      expect(Object.values(record.resellers).every(r => r.batch_started_at && r.sent_at)).toBe(true);
+    });
+
+    test('Next Batch should hold the next batch until the current one has settled', async () => {
+      const staticData = {};
+      const { record, nextBatch } = await planCampaign(staticData, 2);
+      const [first, second] = await nextBatch();
+      await runFunctionNode('Rate Limit', { items: [first, second], staticData, env });
+
+      const settled = await runFunctionNode('Track Delivery', {
+        items: [{ ...first, accepted: [first.email], rejected: [] }], staticData
+      });
+
+      expect(settled).toEqual([]);
+      expect(record.dispatch.batches_done).toBe(0);
+      expect(record.resellers.R3.batch_started_at).toBeNull();
+    });
+
+    test('Next Batch should resume an interrupted batch without sending twice', async () => {
+      const staticData = {};
+      const { record, nextBatch } = await planCampaign(staticData, 3);
+      const [first] = await nextBatch();
+      // Stopped after R1 went out and before its send result was recorded
+      await runFunctionNode('Rate Limit', { items: [first], staticData, env });
+
+      const resumed = await nextBatch();
+      await deliver(staticData, resumed);
+      const rest = await nextBatch();
+
+      expect(resumed.map(m => m.id)).toEqual(['R2', 'R3']);
+      expect(record.delivery.R1).toMatchObject({ status: 'unconfirmed', reason: 'Queued before the dispatch was resumed, delivery not confirmed' });
+      expect(record.delivery_report.by_status).toMatchObject({ sent: 2, unconfirmed: 1 });
+      expect(record.delivery_report.failed).toEqual([]);
+      expect(record.batches[0].done_at).toEqual(expect.any(String));
+      expect(rest.map(m => m.id)).toEqual(['R4', 'R5']);
+      expect(record.dispatch.dispatched).toBe(3);
+    });
+
+    test('Validate Input should take the batch size from BATCH_SIZE and cap it at 100', async () => {
+      const fromEnv = await startCampaign({}, {}, { env: { ...env, BATCH_SIZE: '10' } });
+      const capped = await startCampaign({}, { config: { batchSize: 500 } });
+
+      expect(fromEnv.config.batchSize).toBe(10);
+      expect(capped.config.batchSize).toBe(100);
+      await expect(startCampaign({}, { config: { batchSize: 0 } }))
+        .rejects.toThrow('Invalid config.batchSize (expected a whole number of resellers)');
+    });
+
+    test('Settled batches should loop back to Next Batch', () => {
+      const { nodes, connections } = loadWorkflow();
+
+      expect(connections['Compose Messages'].main[0][0].node).toBe('Plan Batches');
+      expect(connections['Plan Batches'].main[0][0].node).toBe('Next Batch');
+      expect(connections['Respond Started'].main[0][0].node).toBe('Next Batch');
+      expect(nodes.filter(n => n.type === 'n8n-nodes-base.splitInBatches')).toEqual([]);
+    });
+  });
+
+  describe('State Store', () => {
+    const { transaction } = require('../../lib');
+    let storeEnv;
+
+    beforeEach(() => {
+      const file = path.join(os.tmpdir(), `marketplace-state-test-${process.pid}-${Date.now()}.json`);
+      storeEnv = { STATE_STORE: 'file', STATE_STORE_FILE: file };
+    });
+
+    afterEach(() => {
+      fs.rmSync(storeEnv.STATE_STORE_FILE, { force: true });
+    });
+
+    const saved = () => JSON.parse(fs.readFileSync(storeEnv.STATE_STORE_FILE, 'utf8'));
+
+    test('Concurrent transactions should each see the other\'s changes', async () => {
+      await transaction(storeEnv, async state => {
+        await state.load('campaigns', []);
+        state.campaigns.REQ1 = { offers: [] };
+      });
+
+      // Both read-modify-write the same campaign; the lock serialises them
+      const addOffer = price => transaction(storeEnv, async state => {
+        const campaign = (await state.load('campaigns', 'REQ1')).REQ1;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        campaign.offers = [...campaign.offers, price];
+      });
+      await Promise.all([addOffer(100), addOffer(200)]);
+
+      expect(saved().campaigns.REQ1.offers.sort()).toEqual([100, 200]);
+    });
+
+    test('Transactions should only write back the records they loaded', async () => {
+      fs.writeFileSync(storeEnv.STATE_STORE_FILE, JSON.stringify({
+        replyTokens: { a: { used_at: null }, b: { used_at: null } },
+        stubOutbox: [{ id: 1 }]
+      }));
+
+      await transaction(storeEnv, async state => {
+        const tokens = await state.load('replyTokens', ['a', 'c']);
+        tokens.a.used_at = 'now';
+        tokens.d = { used_at: null };
+        delete state.replyTokens.b;
+      });
+
+      // b was never loaded, so deleting it from the object is not a delete in the store
+      expect(saved().replyTokens).toEqual({ a: { used_at: 'now' }, b: { used_at: null }, d: { used_at: null } });
+      expect(saved().stubOutbox).toEqual([{ id: 1 }]);
+    });
+
+    test('Transactions should save nothing when the work throws', async () => {
+      fs.writeFileSync(storeEnv.STATE_STORE_FILE, JSON.stringify({ campaigns: { REQ1: { status: 'open' } } }));
+
+      await expect(transaction(storeEnv, async state => {
+        (await state.load('campaigns')).REQ1.status = 'closed';
+        throw new Error('Template validation failed');
+      })).rejects.toThrow('Template validation failed');
+
+      expect(saved().campaigns.REQ1.status).toBe('open');
+      expect(fs.existsSync(`${storeEnv.STATE_STORE_FILE}.lock`)).toBe(false);
+    });
+
+    test('Transactions should leave the store file alone when nothing changed', async () => {
+      const document = JSON.stringify({ campaigns: { REQ1: { status: 'open' } } }, null, 2);
+      fs.writeFileSync(storeEnv.STATE_STORE_FILE, document);
+
+      await transaction(storeEnv, state => state.load('campaigns'));
+
+      expect(fs.readFileSync(storeEnv.STATE_STORE_FILE, 'utf8')).toBe(document);
+    });
+
+    test('Transactions should close the database client when BEGIN fails', async () => {
+      const client = {
+        connect: jest.fn(async () => {}),
+        query: jest.fn(async () => { throw new Error('connection reset'); }),
+        end: jest.fn(async () => {})
+      };
+      jest.doMock('pg', () => ({ Client: jest.fn(() => client) }), { virtual: true });
+
+      await expect(transaction({ STATE_STORE: 'postgres', STATE_STORE_URL: 'postgres://state' }, async () => {}))
+        .rejects.toThrow('connection reset');
+
+      expect(client.end).toHaveBeenCalledTimes(1);
+      jest.dontMock('pg');
+    });
+
+    test('Transactions should reject unknown stores and sections', async () => {
+      await expect(transaction({ STATE_STORE: 'redis' }, async () => {}))
+        .rejects.toThrow('Unsupported STATE_STORE: redis');
+      await expect(transaction(storeEnv, state => state.load('offers')))
+        .rejects.toThrow('Unknown state section: offers');
+    });
+
+    test('No node should keep state in workflow static data', () => {
+      const { nodes } = loadWorkflow();
+
+      expect(nodes.filter(n => /getWorkflowStaticData/.test(n.parameters.functionCode || '')).map(n => n.name)).toEqual([]);
+    });
+  });
+});
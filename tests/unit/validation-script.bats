@@ -159,6 +159,39 @@ EOF
     [[ "$output" =~ "credentials found" ]] || [[ "$output" =~ "password\|secret\|token\|api_key" ]]
 }
 
+@test "security check detects hardcoded credentials in function code" {
+    cat > test-code.json << 'EOF'
+{
+  "name": "Test Workflow",
+  "nodes": [{
+    "parameters": {
+      "functionCode": "const apiKey = 'sk-live-123';\nconst webhookSecret = \"hunter2\";"
+    }
+  }]
+}
+EOF
+
+    run bash validate-workflow.sh --security-only --file test-code.json
+    [[ "$output" =~ "credentials found" ]]
+}
+
+@test "security check allows credentials read from environment variables" {
+    cat > test-env.json << 'EOF'
+{
+  "name": "Test Workflow",
+  "nodes": [{
+    "parameters": {
+      "password": "={{$env.SMTP_PASSWORD}}",
+      "functionCode": "const secret = $env.WEBHOOK_SECRET;\nconst token = query.token;"
+    }
+  }]
+}
+EOF
+
+    run bash validate-workflow.sh --security-only --file test-env.json
+    [[ "$output" =~ "No hardcoded credentials detected" ]]
+}
+
 @test "security check detects placeholder URLs" {
     # Create workflow with placeholder URLs
     cat > test-urls.json << 'EOF'
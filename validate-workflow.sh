@@ -249,8 +249,11 @@ jq_cached() {
 }
 
 # Optimized pattern matching
+# Credentials match a credential-like name assigned a quoted literal, in node parameters or
+# function code. Names alone are allowed, so $env.WEBHOOK_SECRET and reply tokens pass,
+# and so do values that are n8n expressions or template placeholders
 FAST_GREP_PATTERNS=(
-    "password|secret|token|api_key|apikey|api-key"
+    "(password|secret|token|api_key|apikey|api-key)\\\\?[\"']?[[:space:]]*[:=][[:space:]]*\\\\?[\"'][^\"'={\$\\\\]"
     "YOUR_N8N_URL|your-n8n|localhost|127\.0\.0\.1"
     "http://[^\"]*"
     "while|for.*1000|setTimeout.*0"